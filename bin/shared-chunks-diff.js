@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// Usage: shared-chunks-diff [--json] <before.json> <after.json>
+//
+// Compare the shared chunk layouts of two builds.  Each file can be either
+// the manifest emitted by SharedChunkPlugin or the output of 'webpack --json'
+// with the plugin's 'verbose' option set.
+const fs = require('fs');
+
+const { diffLayouts, formatDiff } = require('../diff.js');
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const files = args.filter(arg => arg !== '--json');
+
+if (files.length !== 2) {
+    console.error(
+        'Usage: shared-chunks-diff [--json] <before.json> <after.json>'
+    );
+    process.exit(2);
+}
+
+try {
+    const [before, after] = files.map(file =>
+        JSON.parse(fs.readFileSync(file, 'utf8'))
+    );
+    const diff = diffLayouts(before, after);
+    console.log(json ? JSON.stringify(diff, null, 2) : formatDiff(diff));
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
@@ -0,0 +1,218 @@
+// Compare the shared chunk layouts of two builds, e.g. before and after a
+// change to a spec's moduleFilter or minChunks, and report which modules moved
+// between shared chunks, which entries gained or lost shared chunks and how
+// the size of the modules in each shared chunk changed.  That's the size of
+// the modules' source, like 'size' in the manifest, not of the emitted files,
+// which also contain the webpack runtime and the module wrappers.
+//
+// The layouts can be read from either the manifest emitted with the 'manifest'
+// option or the output of stats.toJson() (e.g. 'webpack --json') when the
+// 'verbose' option is set.
+
+// A layout describes the shared chunks of a build:
+// - sharedChunks: a map between the names of shared chunks and the modules
+//                 they contain and their total size in bytes
+// - entries: a map between the names of entry chunks and the names of the
+//            shared chunks they load, in order
+const getLayoutFromManifest = manifest => {
+    const sharedChunks = {};
+    const fileToChunkMap = {};
+
+    for (const name of Object.keys(manifest.sharedChunks)) {
+        const chunk = manifest.sharedChunks[name];
+        sharedChunks[name] = { modules: chunk.modules, size: chunk.size };
+        for (const file of chunk.files) {
+            fileToChunkMap[file] = name;
+        }
+    }
+
+    // Shared chunks can have more than one file, e.g. source maps.
+    const entries = {};
+    for (const name of Object.keys(manifest.entries)) {
+        entries[name] = [];
+        for (const file of manifest.entries[name]) {
+            const chunkName = fileToChunkMap[file];
+            if (chunkName && !entries[name].includes(chunkName)) {
+                entries[name].push(chunkName);
+            }
+        }
+    }
+
+    return { sharedChunks, entries };
+};
+
+// Concatenated modules are listed with the modules they're made of (webpack 4
+// only) which are used instead, like in the manifest.
+const getStatsModules = chunk => {
+    const modules = [];
+    for (const module of chunk.modules) {
+        modules.push(...(module.modules || [module]));
+    }
+    return modules;
+};
+
+const getLayoutFromStats = stats => {
+    const sharedChunkNames = new Set();
+    for (const spec of stats.sharedChunks) {
+        for (const name of spec.chunks) {
+            sharedChunkNames.add(name);
+        }
+    }
+
+    const sharedChunks = {};
+    const idToChunkMap = {};
+    for (const chunk of stats.chunks) {
+        idToChunkMap[chunk.id] = chunk;
+        const name = chunk.names.find(name => sharedChunkNames.has(name));
+        if (name) {
+            const modules = getStatsModules(chunk);
+            sharedChunks[name] = {
+                modules: modules.map(module => module.name).sort(),
+                size: modules.reduce((size, module) => size + module.size, 0),
+            };
+        }
+    }
+
+    const entries = {};
+    for (const name of Object.keys(stats.entrypoints)) {
+        entries[name] = stats.entrypoints[name].chunks
+            .map(id => idToChunkMap[id].names[0])
+            .filter(chunkName => sharedChunkNames.has(chunkName));
+    }
+
+    return { sharedChunks, entries };
+};
+
+// Return the layout of a manifest or of the output of stats.toJson().
+const getLayout = input => {
+    if (input.sharedChunks && !Array.isArray(input.sharedChunks)) {
+        return getLayoutFromManifest(input);
+    }
+    if (Array.isArray(input.sharedChunks) && input.chunks) {
+        return getLayoutFromStats(input);
+    }
+    throw new Error(
+        'SharedChunksPlugin: expected a manifest or the output of ' +
+            "stats.toJson() with the 'verbose' option set"
+    );
+};
+
+const compareStrings = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Return a map between modules and the shared chunk they're in.
+const getModuleToChunkMap = layout => {
+    const moduleToChunkMap = new Map();
+    for (const name of Object.keys(layout.sharedChunks)) {
+        for (const module of layout.sharedChunks[name].modules) {
+            moduleToChunkMap.set(module, name);
+        }
+    }
+    return moduleToChunkMap;
+};
+
+// Compare two layouts, which can be manifests or the output of
+// stats.toJson().  Modules which aren't in any shared chunk are left in the
+// entry and async chunks, which is reported as a chunk of null.
+const diffLayouts = (before, after) => {
+    const beforeLayout = getLayout(before);
+    const afterLayout = getLayout(after);
+
+    const beforeModules = getModuleToChunkMap(beforeLayout);
+    const afterModules = getModuleToChunkMap(afterLayout);
+    const allModules = new Set([
+        ...beforeModules.keys(),
+        ...afterModules.keys(),
+    ]);
+
+    const movedModules = [...allModules]
+        .sort(compareStrings)
+        .map(module => ({
+            module,
+            from: beforeModules.get(module) || null,
+            to: afterModules.get(module) || null,
+        }))
+        .filter(({ from, to }) => from !== to);
+
+    const entries = {};
+    const entryNames = new Set([
+        ...Object.keys(beforeLayout.entries),
+        ...Object.keys(afterLayout.entries),
+    ]);
+    for (const name of [...entryNames].sort(compareStrings)) {
+        const beforeParents = beforeLayout.entries[name] || [];
+        const afterParents = afterLayout.entries[name] || [];
+        const added = afterParents.filter(
+            parent => !beforeParents.includes(parent)
+        );
+        const removed = beforeParents.filter(
+            parent => !afterParents.includes(parent)
+        );
+        if (added.length > 0 || removed.length > 0) {
+            entries[name] = { added, removed };
+        }
+    }
+
+    const chunks = {};
+    const chunkNames = new Set([
+        ...Object.keys(beforeLayout.sharedChunks),
+        ...Object.keys(afterLayout.sharedChunks),
+    ]);
+    for (const name of [...chunkNames].sort(compareStrings)) {
+        const beforeChunk = beforeLayout.sharedChunks[name];
+        const afterChunk = afterLayout.sharedChunks[name];
+        const beforeSize = beforeChunk ? beforeChunk.size : 0;
+        const afterSize = afterChunk ? afterChunk.size : 0;
+        chunks[name] = {
+            before: beforeChunk ? beforeSize : null,
+            after: afterChunk ? afterSize : null,
+            delta: afterSize - beforeSize,
+        };
+    }
+
+    return { movedModules, entries, chunks };
+};
+
+// Return a human readable version of the result of diffLayouts().
+const formatDiff = diff => {
+    const lines = [];
+    const formatChunk = name => name || '(entries)';
+    const formatDelta = delta => (delta > 0 ? `+${delta}` : `${delta}`);
+
+    lines.push('Moved modules:');
+    if (diff.movedModules.length === 0) {
+        lines.push('  none');
+    }
+    for (const { module, from, to } of diff.movedModules) {
+        lines.push(`  ${module}: ${formatChunk(from)} -> ${formatChunk(to)}`);
+    }
+
+    lines.push('', 'Entries:');
+    const entryNames = Object.keys(diff.entries);
+    if (entryNames.length === 0) {
+        lines.push('  none');
+    }
+    for (const name of entryNames) {
+        const { added, removed } = diff.entries[name];
+        const changes = [
+            ...added.map(parent => `+${parent}`),
+            ...removed.map(parent => `-${parent}`),
+        ];
+        lines.push(`  ${name}: ${changes.join(' ')}`);
+    }
+
+    lines.push('', 'Shared chunks (size of their modules):');
+    for (const name of Object.keys(diff.chunks)) {
+        const { before, after, delta } = diff.chunks[name];
+        const sizes =
+            before === null
+                ? `new, ${after} bytes`
+                : after === null
+                  ? `removed, was ${before} bytes`
+                  : `${before} -> ${after} bytes`;
+        lines.push(`  ${name}: ${sizes} (${formatDelta(delta)})`);
+    }
+
+    return lines.join('\n');
+};
+
+module.exports = { getLayout, diffLayouts, formatDiff };
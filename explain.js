@@ -0,0 +1,110 @@
+// Explain why each module ended up in the shared chunk it's in, for the
+// 'explain' option.
+//
+// A module is in a shared chunk for one of four reasons:
+// - matched: the spec matched it and it appeared in enough chunks
+// - dependency: it's a dependency of a module in the shared chunk and wasn't
+//               already in another shared chunk, the importers lead back to
+//               the matched module
+// - existing: it was already in the existing chunk of a spec with
+//             useExistingChunk
+// - locked: the lock file kept it in the shared chunk even though it no
+//           longer appears in enough chunks, the spec still matches it
+//
+// Each dependency between shared chunks is caused by a module in one shared
+// chunk which depends on a module in the other.
+
+const compareStrings = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Return the explanation for the results of all of the specs.  Modules are
+// described by their readable identifiers, e.g. './src/foo.js'.
+const createExplanation = (specResults, requestShortener) => {
+    const describe = module => module.readableIdentifier(requestShortener);
+
+    const specs = specResults.map(({ spec, result }) => {
+        if (!result) {
+            return { name: spec.name, chunks: [], modules: [], chunkDeps: [] };
+        }
+
+        const modules = [...result.modules]
+            .map(module => {
+                const reason = Object.assign(
+                    {
+                        module: describe(module),
+                        chunk: result.moduleToChunkMap.get(module).name,
+                    },
+                    result.moduleReasons.get(module)
+                );
+                if (reason.importers) {
+                    reason.importers = reason.importers.map(describe);
+                }
+                return reason;
+            })
+            .sort((a, b) => compareStrings(a.module, b.module));
+
+        const chunkDeps = [...result.chunkDeps].map(chunk => {
+            const { module, dependency } = result.chunkDepCauses.get(chunk);
+            return {
+                chunk: chunk.name,
+                module: describe(module),
+                dependency: describe(dependency),
+            };
+        });
+
+        return {
+            name: spec.name,
+            chunks: result.chunkNames,
+            modules,
+            chunkDeps,
+        };
+    });
+
+    return { specs };
+};
+
+// Return a human readable version of the result of createExplanation().
+const formatExplanation = explanation => {
+    const lines = [];
+
+    const formatReason = reason => {
+        if (reason.reason === 'matched') {
+            const chunks = reason.entryChunks + reason.asyncChunks;
+            return (
+                `matched, in ${chunks} chunks (${reason.entryChunks} entry, ` +
+                `${reason.asyncChunks} async), minChunks ${reason.minChunks}`
+            );
+        }
+        if (reason.reason === 'dependency') {
+            return `dependency via ${reason.importers.join(' -> ')}`;
+        }
+        if (reason.reason === 'locked') {
+            return 'kept by the lock file';
+        }
+        return 'already in the existing chunk';
+    };
+
+    explanation.specs.forEach((spec, index) => {
+        if (index > 0) {
+            lines.push('');
+        }
+        if (spec.chunks.length === 0) {
+            lines.push(`${spec.name}: not created`);
+            return;
+        }
+        lines.push(`${spec.name}: created ${spec.chunks.join(', ')}`);
+        for (const reason of spec.modules) {
+            lines.push(
+                `  ${reason.module} -> ${reason.chunk}: ${formatReason(reason)}`
+            );
+        }
+        for (const { chunk, module, dependency } of spec.chunkDeps) {
+            lines.push(
+                `  depends on ${chunk}: ${module} imports ${dependency}`
+            );
+        }
+    });
+
+    return lines.join('\n');
+};
+
+module.exports = { createExplanation, formatExplanation };
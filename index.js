@@ -1,9 +1,492 @@
+const crypto = require('crypto');
+const path = require('path');
+
+const { createExplanation, formatExplanation } = require('./explain.js');
+const {
+    readLockFile,
+    writeLockFile,
+    isSpecChunkName,
+    createLock,
+    createReassignmentWarning,
+} = require('./lock.js');
+const {
+    setEntryFiles,
+    getEntryAssets,
+    renderTags,
+    HtmlTagsPlugin,
+} = require('./tags.js');
+
+// webpack 4 replaced the 'parents' and 'entrypoints' of chunks with chunk
+// groups, and the plugin() method with tapable hooks.
+const usesChunkGroups = compilation => Boolean(compilation.chunkGroups);
+
+// Whether the chunk is loaded initially, i.e. it's an entry chunk or a shared
+// chunk that an entry chunk depends on, as opposed to an async chunk.
+const isInitialChunk = (compilation, chunk) =>
+    usesChunkGroups(compilation) ? chunk.canBeInitial() : chunk.isInitial();
+
+// Async chunks are created for require.ensure() and import() and, unlike
+// entry chunks, aren't loaded initially.  Neither are async shared chunks so
+// shared chunks are excluded explicitly.
+const isAsyncChunk = (compilation, chunk, sharedChunksSet) =>
+    !sharedChunksSet.has(chunk) && !isInitialChunk(compilation, chunk);
+
+// Return the entrypoints of the compilation as [name, entrypoint] pairs,
+// webpack 4 keeps them in a Map.
+const getEntrypoints = compilation =>
+    compilation.entrypoints instanceof Map
+        ? [...compilation.entrypoints]
+        : Object.keys(compilation.entrypoints).map(name => [
+              name,
+              compilation.entrypoints[name],
+          ]);
+
+// The chunks which load the given chunk, i.e. the ones containing the
+// require.ensure() or import() calls for an async chunk.  webpack 4 only
+// tracks this between chunk groups.
+const getLoadingChunks = (compilation, chunk) => {
+    if (!usesChunkGroups(compilation)) {
+        return chunk.parents;
+    }
+    const chunks = new Set();
+    for (const chunkGroup of chunk.groupsIterable) {
+        for (const parentGroup of chunkGroup.parentsIterable) {
+            for (const parentChunk of parentGroup.chunks) {
+                chunks.add(parentChunk);
+            }
+        }
+    }
+    return [...chunks];
+};
+
+// The entry chunks an async chunk is loaded from, either directly or through
+// other async chunks.  Shared chunks are skipped, they're loaded along with
+// the chunks that depend on them rather than loading them.
+const getAsyncChunkOrigins = (compilation, chunk, sharedChunksSet) => {
+    const origins = new Set();
+    const visited = new Set([chunk]);
+    const queue = [chunk];
+    while (queue.length > 0) {
+        for (const parent of getLoadingChunks(compilation, queue.shift())) {
+            if (visited.has(parent) || sharedChunksSet.has(parent)) {
+                continue;
+            }
+            visited.add(parent);
+            if (parent.hasEntryModule()) {
+                origins.add(parent);
+            } else {
+                queue.push(parent);
+            }
+        }
+    }
+    return [...origins];
+};
+
+// Label a chunk for the manifest and the stats.  Async chunks without a
+// webpackChunkName comment don't have a name so they're labelled by the
+// modules their import() or require.ensure() calls load and the entries
+// they're loaded from instead of their id, e.g.
+// './src/lazy.js (from page1, page2)'.
+const getChunkLabel = (compilation, chunk, sharedChunksSet) => {
+    if (chunk.name || !isAsyncChunk(compilation, chunk, sharedChunksSet)) {
+        return chunk.name || chunk.id;
+    }
+
+    const blocks = usesChunkGroups(compilation)
+        ? [...chunk.groupsIterable].reduce(
+              (blocks, chunkGroup) => [...blocks, ...chunkGroup.blocksIterable],
+              []
+          )
+        : chunk.blocks;
+    const requestShortener = getRequestShortener(compilation);
+    const identifiers = new Set();
+    for (const block of blocks) {
+        for (const dependency of block.dependencies) {
+            if (dependency.module) {
+                identifiers.add(
+                    dependency.module.readableIdentifier(requestShortener)
+                );
+            }
+        }
+    }
+    if (identifiers.size === 0) {
+        return chunk.id;
+    }
+
+    const origins = getAsyncChunkOrigins(compilation, chunk, sharedChunksSet)
+        .map(origin => origin.name)
+        .sort();
+    const label = [...identifiers].sort().join(', ');
+    return origins.length > 0 ? `${label} (from ${origins.join(', ')})` : label;
+};
+
+// Return a map between the chunks and their labels.  The id is added to the
+// labels which are still the same, e.g. for async chunks which load the same
+// module from the same entries, so that no chunk is left out of the manifest.
+const getChunkLabels = (compilation, chunks, sharedChunksSet) => {
+    const labels = new Map(
+        chunks.map(chunk => [
+            chunk,
+            getChunkLabel(compilation, chunk, sharedChunksSet),
+        ])
+    );
+    const counts = new Map();
+    for (const label of labels.values()) {
+        counts.set(label, (counts.get(label) || 0) + 1);
+    }
+    for (const [chunk, label] of labels) {
+        if (counts.get(label) > 1) {
+            labels.set(chunk, `${label} [${chunk.id}]`);
+        }
+    }
+    return labels;
+};
+
+// The total size of the given modules in bytes.
+const getModulesSize = modules =>
+    [...modules].reduce((size, module) => size + module.size(), 0);
+
+// webpack 3 only exposes the request shortener on the module template.
+const getRequestShortener = compilation =>
+    compilation.requestShortener || compilation.moduleTemplate.requestShortener;
+
+// Context modules are created for require.context() and for require() calls
+// with an expression.  They don't have a resource, just a directory.
+const isContextModule = module =>
+    typeof module.resolveDependencies === 'function';
+
+// Delegated modules are created by the DllReferencePlugin for modules which
+// are part of a DLL.
+const isDelegatedModule = module => Boolean(module.delegateData);
+
+// The path of the file a module was created from.  Context modules use their
+// directory, rather than their identifier which includes the RegExp used to
+// find the files, delegated modules the path of the module in the DLL (e.g.
+// './node_modules/react/index.js') and external modules their request (e.g.
+// 'react').  Other modules which weren't created from a file use their
+// identifier.
+const getModulePath = module => {
+    if (module.resource) {
+        return module.resource;
+    }
+    if (isContextModule(module)) {
+        return module.context;
+    }
+    if (isDelegatedModule(module)) {
+        return module.originalRequest && module.originalRequest.resource
+            ? module.originalRequest.resource
+            : module.userRequest;
+    }
+    if (module.external && typeof module.userRequest === 'string') {
+        return module.userRequest;
+    }
+    return module.identifier();
+};
+
+// The path that the 'test', 'include', 'exclude' and 'packages' options of
+// specs are matched against.  Concatenated modules (scope hoisting) are
+// matched by their root module.
+const getModuleResource = module =>
+    module.rootModule
+        ? getModuleResource(module.rootModule)
+        : getModulePath(module);
+
+// The modules that a module is made of.  Concatenated modules are created
+// from several modules after the shared chunks have been created, they're
+// reported as those modules so that turning on scope hoisting doesn't change
+// the manifest or the ids of the shared chunks.
+const getInnerModules = module =>
+    module.rootModule && module.modules ? [...module.modules] : [module];
+
+// The modules in the chunk, with concatenated modules replaced by the modules
+// they're made of.
+const getChunkModules = chunk => {
+    const modules = [];
+    for (const module of chunk.modulesIterable) {
+        modules.push(...getInnerModules(module));
+    }
+    return modules;
+};
+
+// Whether the path matches the condition, which is either a RegExp, a string
+// that the path must start with or a function that's passed the path.
+const matchesCondition = (condition, path) => {
+    if (condition instanceof RegExp) {
+        return condition.test(path);
+    }
+    if (typeof condition === 'function') {
+        return Boolean(condition(path));
+    }
+    return path.startsWith(condition);
+};
+
+// Whether the path matches any of the conditions, which can also be a single
+// condition.
+const matchesAnyCondition = (conditions, path) =>
+    [].concat(conditions).some(condition => matchesCondition(condition, path));
+
+const isCondition = condition =>
+    condition instanceof RegExp ||
+    typeof condition === 'string' ||
+    typeof condition === 'function';
+
+// The name of the package in node_modules that the path belongs to, e.g.
+// 'react' or '@khan/wonder-blocks', or null if it isn't part of a package.
+// Nested node_modules directories belong to the innermost package.
+const getPackageName = path => {
+    const match = /.*[\\/]node_modules[\\/]((?:@[^\\/]+[\\/])?[^\\/]+)/.exec(
+        path
+    );
+    return match ? match[1].replace(/\\/g, '/') : null;
+};
+
+// The directory of the package a module is in, e.g.
+// '/app/node_modules/@khan/math', or the directory of the module itself
+// outside of node_modules.
+const getModuleGroup = module => {
+    const modulePath = getModulePath(module);
+    const match = /.*[\\/]node_modules[\\/](?:@[^\\/]+[\\/])?[^\\/]+/.exec(
+        modulePath
+    );
+    return match ? match[0] : path.dirname(modulePath);
+};
+
+// The name of the package that an external module's request refers to, e.g.
+// 'lodash' for 'lodash/fp', or null if it's a relative or absolute path.
+const getExternalPackageName = request => {
+    const match = /^((?:@[^\s/]+\/)?[^\s./][^\s/]*)(?:\/|$)/.exec(request);
+    return match ? match[1] : null;
+};
+
+// Convert a pattern in which '*' matches any sequence of characters, e.g.
+// '@khan/*', to a RegExp.  The RegExps are cached since the same patterns
+// are matched against every chunk.
+const globRegExpCache = new Map();
+const globToRegExp = glob => {
+    if (!globRegExpCache.has(glob)) {
+        const source = glob
+            .split('*')
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        globRegExpCache.set(glob, new RegExp(`^${source}$`));
+    }
+    return globRegExpCache.get(glob);
+};
+
+// The number of single character insertions, deletions and substitutions it
+// takes to turn one string into the other (Levenshtein distance).
+const getEditDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// The options accepted by the plugin and by each of its specs.
+const pluginOptionNames = [
+    'specs',
+    'manifest',
+    'onOverlap',
+    'verbose',
+    'auto',
+    'maxInitialRequests',
+    'chunkIds',
+    'explain',
+    'dryRun',
+    'runtimeChunk',
+    'lockFile',
+    'maxChurn',
+];
+const runtimeChunkOptionNames = ['name', 'inline'];
+const autoOptionNames = [
+    'name',
+    'selectedChunks',
+    'excludeChunks',
+    'minChunks',
+    'minSize',
+    'maxSharedChunks',
+    'maxParentsPerEntry',
+];
+const specOptionNames = [
+    'name',
+    'selectedChunks',
+    'excludeChunks',
+    'selectedAsyncChunks',
+    'asyncChunksFrom',
+    'moduleFilter',
+    'test',
+    'include',
+    'exclude',
+    'packages',
+    'minChunks',
+    'minEntryChunks',
+    'minAsyncChunks',
+    'asyncChunks',
+    'async',
+    'minSize',
+    'maxSize',
+    'useExistingChunk',
+    'transitiveDeps',
+    'priority',
+    'reuseExistingChunk',
+];
+
+// Whether the chunk matches any of the conditions used by selectedChunks and
+// excludeChunks.  Strings are patterns in which '*' matches anything, e.g.
+// 'page-*', and they and RegExps are matched against the name of the chunk.
+// Functions are passed the chunk itself.
+const matchesChunk = (conditions, chunk) =>
+    [].concat(conditions).some(condition => {
+        if (typeof condition === 'function') {
+            return Boolean(condition(chunk));
+        }
+        if (!chunk.name) {
+            return false;
+        }
+        if (condition instanceof RegExp) {
+            return condition.test(chunk.name);
+        }
+        return globToRegExp(condition).test(chunk.name);
+    });
+
+const isChunkCondition = condition =>
+    typeof condition === 'function' ||
+    []
+        .concat(condition)
+        .every(
+            condition =>
+                condition instanceof RegExp || typeof condition === 'string'
+        );
+
+// Comparator for sorting modules by path.
+const compareModulePaths = (a, b) => {
+    const aPath = getModulePath(a);
+    const bPath = getModulePath(b);
+    return aPath < bPath ? -1 : aPath > bPath ? 1 : 0;
+};
+
+// Emit an asset whose contents are the given string.
+const emitAsset = (compilation, filename, contents) => {
+    compilation.assets[filename] = {
+        source: () => contents,
+        size: () => contents.length,
+    };
+};
+
+// Return an object through which modules are added to and removed from
+// chunks.  Normally this changes the chunks themselves, but with the 'dryRun'
+// option the changes are only recorded so that chunks look like they contain
+// different modules to the plugin while webpack's chunk graph stays the same.
+// Chunks created during a dry run are placeholders which only have a name.
+//
+// The graph keeps indexes between chunks, the modules they contain and their
+// names so that finding the chunks which contain a module doesn't involve
+// checking every chunk, which is what keeps the plugin fast for builds with
+// hundreds of entries.
+const createModuleGraph = (compilation, chunks, dryRun) => {
+    const chunkToModulesMap = new Map();
+    const moduleToChunksMap = new Map();
+    const chunkNameMap = new Map();
+
+    const getModules = chunk => chunkToModulesMap.get(chunk);
+    const getChunks = module => {
+        if (!moduleToChunksMap.has(module)) {
+            moduleToChunksMap.set(module, new Set());
+        }
+        return moduleToChunksMap.get(module);
+    };
+    const indexChunk = chunk => {
+        chunkToModulesMap.set(chunk, new Set(chunk.modulesIterable || []));
+        for (const module of getModules(chunk)) {
+            getChunks(module).add(chunk);
+        }
+        if (chunk.name) {
+            chunkNameMap.set(chunk.name, chunk);
+        }
+    };
+    chunks.forEach(indexChunk);
+
+    return {
+        getModules,
+        getChunks,
+        getChunk: name => chunkNameMap.get(name),
+        containsModule: (chunk, module) => getChunks(module).has(chunk),
+        addModule: (chunk, module) => {
+            if (!dryRun) {
+                // This is equivalent to GraphHelpers.connectChunkAndModule in
+                // webpack 4.
+                chunk.addModule(module);
+                module.addChunk(chunk); // modules can appear in multiple chunks
+            }
+            getModules(chunk).add(module);
+            getChunks(module).add(chunk);
+        },
+        removeModule: (chunk, module) => {
+            if (!getChunks(module).has(chunk)) {
+                return false;
+            }
+            if (!dryRun) {
+                module.removeChunk(chunk);
+            }
+            getModules(chunk).delete(module);
+            getChunks(module).delete(chunk);
+            return true;
+        },
+        addChunk: name => {
+            // compilation.addChunk() adds the chunk to 'chunks' itself.
+            const chunk = dryRun
+                ? { name, id: null, files: [] }
+                : compilation.addChunk(name);
+            if (dryRun) {
+                chunks.push(chunk);
+            }
+            indexChunk(chunk);
+            return chunk;
+        },
+        // Name a chunk which doesn't have a name yet, e.g. an async chunk
+        // which is reused as a shared chunk.
+        nameChunk: (chunk, name) => {
+            if (!dryRun) {
+                chunk.name = name;
+                if (compilation.namedChunks instanceof Map) {
+                    compilation.namedChunks.set(name, chunk);
+                } else {
+                    compilation.namedChunks[name] = chunk;
+                }
+            }
+            chunkNameMap.set(name, chunk);
+        },
+        removeChunk: chunk => {
+            if (!dryRun) {
+                chunk.remove('SharedChunksPlugin');
+            }
+            chunks.splice(chunks.indexOf(chunk), 1);
+            for (const module of getModules(chunk)) {
+                getChunks(module).delete(chunk);
+            }
+            chunkToModulesMap.delete(chunk);
+            chunkNameMap.delete(chunk.name);
+        },
+    };
+};
+
 /**
  * This plugin allows creates shared chunks which contain all module
  * dependencies that don't already exist in an existing shared chunk.
  *
  * All dependencies required to load a shared chunk appear in the 'parents'
- * array on each chunk.
+ * array on each chunk.  With webpack 4, which doesn't have 'parents', shared
+ * chunks are inserted into the chunk groups of the chunks that depend on them
+ * instead.
  *
  * A chunk is webpack terminology for a set of modules (.js files).  Entry
  * chunks are special chunks which initially contain the entry point (a .js
@@ -14,7 +497,9 @@
  * dependencies between chunks (via the 'parents' property on chunks) based on
  * whether a module already exists in shared chunk or not.
  *
- * Shared chunks are created in the order they are specified.
+ * Shared chunks are created in the order they are specified.  The 'parents'
+ * of each chunk are sorted topologically so that shared chunks always appear
+ * after the shared chunks they depend on.  Ties are broken by spec order.
  *
  * A set of shared chunks can be specified in a webpack.config.js like so:
  *
@@ -46,249 +531,2350 @@
  *
  * Each of the 'specs' can contain the following options:
  * - name: the name of the chunk being generated
- * - selectedChunks (optional): an array of entry chunks to consider when
- *                              looking for common modules
+ * - selectedChunks (optional): the chunks to consider when looking for common
+ *                              modules.  Either a name, a pattern in which
+ *                              '*' matches anything (e.g. 'page-*'), a RegExp
+ *                              matched against the name, an array of these,
+ *                              or a function which is passed the chunk.
+ *                              Defaults to all chunks.
+ * - excludeChunks (optional): chunks to leave out even if they're selected,
+ *                             in the same form as selectedChunks.  This
+ *                             applies to async chunks as well.
+ * - selectedAsyncChunks (optional): the async chunks to consider, in the same
+ *                                   form as selectedChunks and matched against
+ *                                   the name from the webpackChunkName
+ *                                   comment.  Defaults to all async chunks.
+ * - asyncChunksFrom (optional): only consider the async chunks loaded, directly
+ *                               or through other async chunks, from the entry
+ *                               chunks matching this, in the same form as
+ *                               selectedChunks.
  * - moduleFilter (optional): a predicate which can be used to determine whether
  *                            a module should be included in the shared chunk
  *                            that is currently being created
+ * - test (optional): a RegExp, a string the path of the module must start
+ *                    with, or a function that's passed the path.  Context
+ *                    modules are matched by their directory, delegated
+ *                    modules by their path in the DLL, external modules by
+ *                    their request, concatenated modules by their root module
+ *                    and other modules which weren't created from a file by
+ *                    their identifier.
+ * - include/exclude (optional): a condition like 'test' or an array of them,
+ *                               the path must match one of the 'include'
+ *                               conditions and none of the 'exclude' ones.
+ * - packages (optional): an array of names of packages in node_modules, e.g.
+ *                        ['react', '@khan/*'], where '*' matches anything.
+ *                        External modules match the package they request.
+ *   A module must match all of the above which are set, including the
+ *   moduleFilter, to be included in the shared chunk.
  * - minChunks (optional): a number between 1 and Infinity that specifies how
- *                         many entry chunks it must appear in before it is
- *                         extracted to the shared chunk.
+ *                         many chunks (entry or async) it must appear in
+ *                         before it is extracted to the shared chunk.
+ * - minEntryChunks (optional): the minimum number of entry chunks a module
+ *                              must appear in, defaults to 0.
+ * - minAsyncChunks (optional): the minimum number of async chunks a module
+ *                              must appear in, defaults to 0.
+ * - asyncChunks (optional): 'include' (default) to include all async chunks
+ *                           in addition to the selectedChunks, 'exclude' to
+ *                           leave them out, 'only' to only select async
+ *                           chunks, or 'selected' to select async chunks
+ *                           using selectedChunks like any other chunk.  Async
+ *                           chunks are the chunks which aren't loaded
+ *                           initially, other than shared chunks.  The two
+ *                           options above narrow them down unless this is
+ *                           'exclude'.
+ * - async (optional): when true, the shared chunk is created from modules that
+ *                     appear in async chunks but not in any entry chunk.  It
+ *                     is loaded on demand along with the async chunks that
+ *                     depend on it instead of being added to entrypoints.
+ *                     Implies asyncChunks: 'only'.
+ * - minSize (optional): the minimum size in bytes of the modules in the shared
+ *                       chunk, if they're smaller the chunk isn't created and
+ *                       the modules are left where they are.
+ * - maxSize (optional): the maximum size in bytes of the shared chunk, larger
+ *                       chunks are split into parts named 'name~0', 'name~1',
+ *                       etc. based on the paths of their modules.
+ * - useExistingChunk (optional): when true, 'name' must be the name of an
+ *                                existing entry chunk.  Modules are added to
+ *                                that chunk instead of a new one and all of
+ *                                the modules it already contains are treated
+ *                                as shared.
+ * - transitiveDeps (optional): what to do with the dependencies of the shared
+ *                              modules which the spec didn't match and which
+ *                              aren't in another shared chunk.  'include'
+ *                              (default) adds them to the shared chunk,
+ *                              'exclude' leaves them in the chunks they're in
+ *                              and 'separate' moves them into a shared chunk
+ *                              named 'name~deps' which the shared chunk
+ *                              depends on.
+ * - priority (optional): specs with a higher priority are applied first, so
+ *                        they get the modules which several specs match.
+ *                        Specs with the same priority are applied in the
+ *                        order they're listed.  Defaults to 0.
+ * - reuseExistingChunk (optional): when true, and one of the selected chunks
+ *                                  other than an entry chunk contains exactly
+ *                                  the modules that would be moved, e.g. an
+ *                                  async chunk, that chunk becomes the shared
+ *                                  chunk instead of creating a duplicate.  It
+ *                                  keeps its name if it has one.
+ *
+ * The plugin itself accepts the following options in addition to 'specs':
+ * - manifest (optional): when true, or when set to a filename, a JSON asset is
+ *                        emitted which lists the shared chunk files that need
+ *                        to be loaded (in order) for each entry and async
+ *                        chunk.  Defaults to 'shared-chunks-manifest.json'
+ *                        when set to true.
+ * - onOverlap (optional): what to do when a spec matches modules which were
+ *                         already added to a shared chunk by an earlier spec.
+ *                         'warn' or 'error' report the modules but still add
+ *                         them, 'skip' leaves them out of the later shared
+ *                         chunk.  By default they're added without a report.
+ * - auto (optional): when true, or set to an object with any of the options
+ *                    below, shared chunks are generated automatically for the
+ *                    modules which are left in the entry chunks after all of
+ *                    the specs have run.  Modules are grouped by the entry
+ *                    chunks they appear in and the largest groups become
+ *                    shared chunks named after those entry chunks, e.g.
+ *                    'shared~bar~foo'.
+ *   - name: the prefix of the names of the shared chunks, 'shared' by default.
+ *   - selectedChunks/excludeChunks: the entry chunks to consider, in the same
+ *                                   form as in specs.  All by default.
+ *   - minChunks: the number of entry chunks a module must appear in, 2 by
+ *                default.
+ *   - minSize: the minimum size in bytes of each shared chunk, 10000 by
+ *              default.
+ *   - maxSharedChunks: the maximum number of shared chunks, 10 by default.
+ *   - maxParentsPerEntry: the maximum number of shared chunks an entry chunk
+ *                         may depend on, including those created by specs.
+ *                         Unlimited by default.
+ * - maxInitialRequests (optional): the maximum number of requests needed to
+ *                                  load an entry chunk, counting the entry
+ *                                  chunk and all of the shared chunks it
+ *                                  depends on.  Entry chunks which would go
+ *                                  over keep their own copies of the modules
+ *                                  and are listed as 'overBudgetChunks' in
+ *                                  the verbose stats.
+ * - chunkIds (optional): 'name' to use the names of shared chunks as their
+ *                        ids or 'hash' to use a short hash of the name and
+ *                        the identifiers of the modules in the chunk.  Either
+ *                        keeps the ids from changing when entry points are
+ *                        added.  By default webpack numbers the chunks.
+ * - verbose (optional): when true, records what each spec did (the shared
+ *                       chunks created, the number and size of the modules
+ *                       moved, the chunks they were moved out of and the
+ *                       shared chunks depended on) and adds it to the output
+ *                       of stats.toJson() as 'sharedChunks'.
+ * - explain (optional): when true, emits 'shared-chunks-explain.json' and a
+ *                       readable 'shared-chunks-explain.txt' which say why
+ *                       each module was moved: the spec that matched it and
+ *                       the number of chunks it appeared in, or the chain of
+ *                       modules it's a dependency of.  They also list the
+ *                       module which caused each dependency between shared
+ *                       chunks.
+ * - dryRun (optional): when true, works out which shared chunks would be
+ *                      created without changing any chunks, usually along
+ *                      with 'explain'.  The manifest isn't emitted.
+ * - runtimeChunk (optional): when true, or set to an object with the options
+ *                            below, the webpack runtime is moved into its own
+ *                            chunk which is loaded first by every entry and
+ *                            which all of the other shared chunks depend on.
+ *                            Otherwise webpack 3 puts the runtime into the
+ *                            first shared chunk of each entry, so the hash of
+ *                            e.g. 'vendor' changes whenever an entry does.
+ *   - name: the name of the runtime chunk, 'runtime' by default.
+ *   - inline: when true, the runtime isn't emitted as a file, instead its
+ *             source is added to the manifest as 'runtime' so that it can be
+ *             inlined into the page.  Requires 'manifest'.
+ * - lockFile (optional): when true, or when set to a filename, the shared chunk
+ *                        each module was added to is written to a JSON file,
+ *                        'shared-chunks-lock.json' in the context directory
+ *                        when set to true.  Later builds keep modules in the
+ *                        shared chunks they were in, and keep modules which
+ *                        weren't in one out, even if the number of chunks
+ *                        they appear in crosses minChunks.  Modules are only
+ *                        reassigned if the spec no longer matches them or
+ *                        too many of them changed, see maxChurn.  Each
+ *                        reassignment is reported as a warning.
+ * - maxChurn (optional): the fraction of a spec's modules which the lock
+ *                        may keep in or out of its shared chunk against what
+ *                        the spec would do without the lock.  If more of
+ *                        them changed the lock is ignored for that spec.
+ *                        0.1 by default.
+ *
+ * Problems, e.g. a spec which matches no modules, are reported as compilation
+ * warnings or errors so that they show up in webpack's stats.  Invalid options
+ * throw when the plugin is created.
  */
 class SharedChunkPlugin {
     constructor(options) {
+        this.validateOptions(options);
         this.specs = options.specs;
+        this.manifestFilename =
+            options.manifest === true
+                ? 'shared-chunks-manifest.json'
+                : options.manifest || null;
+        this.onOverlap = options.onOverlap || null;
+        this.verbose = options.verbose || false;
+        this.maxInitialRequests = options.maxInitialRequests || null;
+        this.chunkIds = options.chunkIds || null;
+        this.explain = options.explain || false;
+        this.dryRun = options.dryRun || false;
+        this.auto = options.auto
+            ? Object.assign(
+                  {
+                      name: 'shared',
+                      minChunks: 2,
+                      minSize: 10000,
+                      maxSharedChunks: 10,
+                      maxParentsPerEntry: Infinity,
+                  },
+                  options.auto === true ? {} : options.auto
+              )
+            : null;
+        this.runtimeChunk = options.runtimeChunk
+            ? Object.assign(
+                  { name: 'runtime', inline: false },
+                  options.runtimeChunk === true ? {} : options.runtimeChunk
+              )
+            : null;
+
+        this.lockFilename =
+            options.lockFile === true
+                ? 'shared-chunks-lock.json'
+                : options.lockFile || null;
+        this.maxChurn = options.maxChurn !== undefined ? options.maxChurn : 0.1;
+
+        // The contents of the lock file, which is read before the first
+        // build and then kept up to date as the lock file is written.
+        this.lock = null;
+        this.lockRead = false;
+
+        // A map between compilations and the lock file contents they
+        // produced, which are written once the assets have been emitted.
+        this.lockMap = new WeakMap();
+
+        // A map between compilations and the results of each spec along with
+        // the shared chunks, which are only recorded when 'verbose' is set.
+        this.specResultsMap = new WeakMap();
     }
 
     apply(compiler) {
-        compiler.plugin('compilation', compilation => {
+        const onCompilation = compilation => {
+            // The set of all shared chunks that have already been created.
+            // This lives outside of the 'optimize-chunks' callback because the
+            // manifest is generated from it in a later hook.
+            const sharedChunksSet = new Set();
+
+            // A map between chunks and the shared chunks they depend on.  With
+            // webpack 3 this mirrors the 'parents' of each chunk, but webpack 4
+            // doesn't have a way to express dependencies between chunks in the
+            // same chunk group so we keep track of them ourselves.
+            const parentsMap = new Map();
+
+            // Other plugins can cause the 'optimize-chunks' hooks to be called
+            // more than once, but shared chunks should only be created once.
+            let optimized = false;
+
+            // What each spec did, which is used by the 'explain' option.
+            const specResults = [];
+
+            // The chunk containing the webpack runtime with the 'runtimeChunk'
+            // option, and the load order of the shared chunks which is kept
+            // for inlining the runtime into the manifest once the assets have
+            // been optimized.
+            let runtimeChunk = null;
+            let loadOrder = null;
+
             // The 'compilation' object has many different lifecyle hooks that
             // plugin developers can define callbacks for.  See the plugin
             // documentation: https://webpack.js.org/api/compilation/
-            compilation.plugin(['optimize-chunks'], allChunks => {
+            const onOptimizeChunks = allChunks => {
+                if (optimized) {
+                    return;
+                }
+                optimized = true;
+
+                // A dry run adds its placeholder chunks to a copy so that
+                // webpack never sees them.
+                const chunks = this.dryRun ? [...allChunks] : allChunks;
+                const graph = createModuleGraph(
+                    compilation,
+                    chunks,
+                    this.dryRun
+                );
+
                 // The set of all modules that have already been added to a
                 // shared chunk.
                 const globalModulesSet = new Set();
 
-                // The set of all shared chunks that have already been created.
-                const sharedChunksSet = new Set();
+                // The shared chunks which the lock file assigns modules to.
+                const locked = this.lock
+                    ? this.getLockedChunkNames(compilation, chunks, graph)
+                    : null;
 
-                for (const spec of this.specs) {
-                    this.createSharedChunk(
+                // Why each module differs from the lock file, for the modules
+                // which the lock didn't apply to.  It's filled in by the specs,
+                // including the ones which don't create a chunk.
+                const lockReasons = new Map();
+
+                for (const spec of this.getSortedSpecs()) {
+                    const result = this.createSharedChunk(
                         compilation,
-                        allChunks,
+                        chunks,
                         globalModulesSet,
                         sharedChunksSet,
-                        spec
+                        parentsMap,
+                        graph,
+                        spec,
+                        locked,
+                        lockReasons
+                    );
+                    specResults.push({ spec, result });
+                }
+
+                // Shared chunks for the modules which are left over are only
+                // generated once all of the explicit specs have run.
+                if (this.auto) {
+                    const autoSpecs = this.getAutoSpecs(
+                        compilation,
+                        chunks,
+                        globalModulesSet,
+                        sharedChunksSet,
+                        parentsMap,
+                        graph
+                    );
+                    for (const spec of autoSpecs) {
+                        const result = this.createSharedChunk(
+                            compilation,
+                            chunks,
+                            globalModulesSet,
+                            sharedChunksSet,
+                            parentsMap,
+                            graph,
+                            spec,
+                            locked,
+                            lockReasons
+                        );
+                        specResults.push({ spec, result });
+                    }
+                }
+
+                // The runtime chunk is added last so that the specs only see
+                // the entry and async chunks.
+                if (this.runtimeChunk && !this.dryRun) {
+                    runtimeChunk = this.createRuntimeChunk(
+                        compilation,
+                        sharedChunksSet,
+                        parentsMap,
+                        graph
+                    );
+                }
+
+                if (this.lockFilename) {
+                    this.updateLock(
+                        compilation,
+                        chunks,
+                        sharedChunksSet,
+                        graph,
+                        specResults,
+                        locked,
+                        lockReasons
                     );
                 }
-            });
+
+                if (this.verbose) {
+                    this.specResultsMap.set(compilation, {
+                        specResults,
+                        chunks,
+                        sharedChunksSet,
+                    });
+                }
+            };
+
+            // Record the files of each entry and emit the manifest.  With an
+            // inlined runtime this happens once the runtime chunk has been
+            // minified and removed from the assets.
+            const emitEntryFiles = (allChunks, runtime) => {
+                setEntryFiles(
+                    compilation,
+                    this.getEntryFiles(
+                        compilation,
+                        sharedChunksSet,
+                        parentsMap,
+                        loadOrder
+                    )
+                );
+
+                // A dry run doesn't create any files for the shared chunks to
+                // list.
+                if (this.manifestFilename && !this.dryRun) {
+                    const manifest = this.createManifest(
+                        compilation,
+                        allChunks,
+                        sharedChunksSet,
+                        parentsMap,
+                        loadOrder,
+                        runtime
+                    );
+                    emitAsset(
+                        compilation,
+                        this.manifestFilename,
+                        JSON.stringify(manifest, null, 2)
+                    );
+                }
+            };
+
+            const isRuntimeInlined = () =>
+                Boolean(runtimeChunk && this.runtimeChunk.inline);
 
             // additional-chunk-assets is the only unconditional hook that gets
             // passed all of the chunks that is called after sortItemsWithModuleIds
             // and sortItemsWithChunkIds which are two internal webpack methods
             // in Compilation.js that sort the order of the parents based on
             // chunk id.
-            compilation.plugin(['additional-chunk-assets'], allChunks => {
-                for (const chunk of allChunks) {
-                    // Sort dependencies based on the order in which they should
-                    // be loaded.
-                    chunk.parents = chunk.parents.sort(
-                        (a, b) => (a.parents.includes(b) ? 1 : -1)
+            const onAdditionalChunkAssets = allChunks => {
+                if (this.explain) {
+                    const explanation = createExplanation(
+                        specResults,
+                        getRequestShortener(compilation)
+                    );
+                    emitAsset(
+                        compilation,
+                        'shared-chunks-explain.json',
+                        JSON.stringify(explanation, null, 2)
+                    );
+                    emitAsset(
+                        compilation,
+                        'shared-chunks-explain.txt',
+                        formatExplanation(explanation)
                     );
                 }
-            });
-        });
-    }
 
-    // Create a shared chunk
-    //
-    // The process involes the following steps:
-    // - determine which modules should be added to the new shared chunk
-    //   - if any of these module appear in an existing shared chunk, add that
-    //     chunk as a dependency of the new chunk
-    // - remove those modules from other chunks
-    // - add those modules to the new chunk
-    createSharedChunk(
-        compilation,
-        allChunks,
-        globalModulesSet,
-        sharedChunksSet,
-        spec
-    ) {
-        // Create a map between chunks and their names.  The name corresponds
-        // to either the name in the spec (shared chunks) or the name in the
-        // 'entry' part of a webpack.config.js file.
-        const allChunksNameMap = allChunks.reduce((map, chunk) => {
-            if (chunk.name) {
-                map.set(chunk.name, chunk);
-            }
-            return map;
-        }, new Map());
+                loadOrder = this.getLoadOrder(sharedChunksSet, parentsMap);
 
-        // Affected chunks will have one or more modules removed from them.
-        // This will also include new chunks generated from previous calls to
-        // processSharedSpec.
-        const selectedChunks = spec.selectedChunks
-            ? allChunks.filter(chunk => {
-                  // We automatically include all async chunks which are chunks
-                  // whose names are null.
-                  return (
-                      spec.selectedChunks.includes(chunk.name) ||
-                      chunk.name === null
-                  );
-              })
-            : allChunks;
-
-        // Track how chunks each module appears in.
-        const commonModulesToCountMap = new Map();
-        for (const chunk of selectedChunks) {
-            for (const module of chunk.modulesIterable) {
-                // TODO(kevinb): add an option to also exclude modules that are
-                // already part of globalModulesSet, currently our filters
-                // produce a disjoint set of modules... or at the very least
-                // warn when there an overlap in the set of entry modules
-                // between shared chunks.
-                const moduleFilter = spec.moduleFilter || (module => true);
-                if (moduleFilter(module)) {
-                    const count = commonModulesToCountMap.has(module)
-                        ? commonModulesToCountMap.get(module)
-                        : 0;
-                    commonModulesToCountMap.set(module, count + 1);
+                // Sort dependencies based on the order in which they should
+                // be loaded.
+                if (usesChunkGroups(compilation)) {
+                    for (const chunkGroup of compilation.chunkGroups) {
+                        chunkGroup.chunks = this.sortChunks(
+                            chunkGroup.chunks,
+                            loadOrder
+                        );
+                    }
+                } else {
+                    for (const chunk of allChunks) {
+                        chunk.parents = this.sortChunks(
+                            chunk.parents,
+                            loadOrder
+                        );
+                    }
+                }
+
+                // The manifest is created here since this is the first hook
+                // where both the parents are sorted and chunk.files contains
+                // the final (possibly hashed) filenames.
+                if (!isRuntimeInlined()) {
+                    emitEntryFiles(allChunks, null);
                 }
+            };
+
+            // The runtime is inlined after the assets have been optimized so
+            // that the manifest contains the minified source.  The files of
+            // the runtime chunk are removed so that nothing loads them.
+            const onAfterOptimizeAssets = () => {
+                if (!isRuntimeInlined() || !loadOrder) {
+                    return;
+                }
+                const source = runtimeChunk.files
+                    .filter(file => /\.js$/.test(file))
+                    .map(file => compilation.assets[file].source())
+                    .join('\n');
+                for (const file of runtimeChunk.files) {
+                    delete compilation.assets[file];
+                }
+                runtimeChunk.files = [];
+                emitEntryFiles(compilation.chunks, {
+                    chunk: runtimeChunk,
+                    source,
+                });
+            };
+
+            // By default webpack numbers chunks based on their order, so adding
+            // an entry point can change the ids, and with them the content
+            // hashes, of all of the shared chunks.  Chunks which already have
+            // an id are left alone, as are the placeholder chunks of a dry run.
+            const onBeforeChunkIds = () => {
+                if (!this.chunkIds || this.dryRun) {
+                    return;
+                }
+                const requestShortener = getRequestShortener(compilation);
+                for (const chunk of sharedChunksSet) {
+                    if (chunk.id === null) {
+                        chunk.id = this.getChunkId(chunk, requestShortener);
+                        chunk.ids = [chunk.id];
+                    }
+                }
+            };
+
+            if (compilation.hooks) {
+                compilation.hooks.optimizeChunks.tap(
+                    'SharedChunkPlugin',
+                    onOptimizeChunks
+                );
+                compilation.hooks.beforeChunkIds.tap(
+                    'SharedChunkPlugin',
+                    onBeforeChunkIds
+                );
+                compilation.hooks.additionalChunkAssets.tap(
+                    'SharedChunkPlugin',
+                    onAdditionalChunkAssets
+                );
+                compilation.hooks.afterOptimizeAssets.tap(
+                    'SharedChunkPlugin',
+                    onAfterOptimizeAssets
+                );
+            } else {
+                compilation.plugin(['optimize-chunks'], onOptimizeChunks);
+                compilation.plugin(['before-chunk-ids'], onBeforeChunkIds);
+                compilation.plugin(
+                    ['additional-chunk-assets'],
+                    onAdditionalChunkAssets
+                );
+                compilation.plugin(
+                    ['after-optimize-assets'],
+                    onAfterOptimizeAssets
+                );
             }
-        }
+        };
 
-        // Some shared chunks may specify a minimum number of chunks that a
-        // module must appear in before we move it to the shared chunk.
-        const minChunks = spec.minChunks || 1;
-        const commonModules = new Set();
-        for (const [module, count] of commonModulesToCountMap) {
-            // TODO(kevinb): have different counters and thresolds for modules
-            // that appear in entry chunks, async chunks, or both.
-            // TODO(kevinb): add a setting to allow a separate shared chunk to
-            // be created from modules that appear in async chunks but not in
-            // entry chunks.
-            if (count >= minChunks) {
-                commonModules.add(module);
-                globalModulesSet.add(module);
+        // The per-spec stats are added to the output of stats.toJson() so
+        // that they show up in 'webpack --json' along with everything else.
+        const onDone = stats => {
+            const results = this.specResultsMap.get(stats.compilation);
+            if (!results) {
+                return;
             }
-        }
+            const sharedChunks = this.getSpecStats(
+                stats.compilation,
+                results.specResults,
+                results.chunks,
+                results.sharedChunksSet
+            );
+            const toJson = stats.toJson;
+            stats.toJson = function(...args) {
+                return Object.assign(toJson.apply(this, args), {
+                    sharedChunks,
+                });
+            };
+        };
 
-        // Get chunk and module dependencies
-        const { moduleDeps, chunkDeps } = this.getDependencies(
-            commonModules,
-            globalModulesSet,
-            sharedChunksSet
-        );
+        // The lock file is read once, before the first build.  After that
+        // each build uses the lock file written by the previous one.
+        const lockFilename =
+            this.lockFilename &&
+            path.resolve(compiler.context, this.lockFilename);
 
-        // If there aren't any modules to add to the chunk don't bother
-        // creating a shared chunk.
-        if (commonModules.size === 0 && moduleDeps.size === 0) {
-            console.warn(
-                `'${spec.name}' chunk not created, contains no modules`
-            );
-            return;
-        }
+        const onRun = (compilerOrWatching, callback) => {
+            if (!lockFilename || this.lockRead) {
+                return callback();
+            }
+            readLockFile(compiler, lockFilename, (err, lock) => {
+                if (err) {
+                    return callback(err);
+                }
+                this.lock = lock;
+                this.lockRead = true;
+                callback();
+            });
+        };
 
-        if (allChunksNameMap.has(spec.name)) {
-            // Note: this is different from how CommonsChunkPlugin works.
-            throw new Error(
-                `SharedChunksPlugin doesn't work with existing chunks`
+        // Like webpack's records, the lock file is written once the assets
+        // have been emitted.  A dry run doesn't change it.
+        const onAfterEmit = (compilation, callback) => {
+            const lock = this.lockMap.get(compilation);
+            if (!lock || this.dryRun) {
+                return callback();
+            }
+            writeLockFile(compiler, lockFilename, lock, err => {
+                if (err) {
+                    return callback(err);
+                }
+                this.lock = lock;
+                callback();
+            });
+        };
+
+        // Child compilers, e.g. html-webpack-plugin's, inherit 'compilation'
+        // taps but not 'thisCompilation' ones.  Their compilations don't
+        // contain the entries the specs select so they're left alone.
+        if (compiler.hooks) {
+            compiler.hooks.thisCompilation.tap(
+                'SharedChunkPlugin',
+                onCompilation
             );
+            compiler.hooks.done.tap('SharedChunkPlugin', onDone);
+            compiler.hooks.run.tapAsync('SharedChunkPlugin', onRun);
+            compiler.hooks.watchRun.tapAsync('SharedChunkPlugin', onRun);
+            compiler.hooks.afterEmit.tapAsync('SharedChunkPlugin', onAfterEmit);
+        } else {
+            compiler.plugin('this-compilation', onCompilation);
+            compiler.plugin('done', onDone);
+            compiler.plugin('run', onRun);
+            compiler.plugin('watch-run', onRun);
+            compiler.plugin('after-emit', onAfterEmit);
         }
+    }
 
-        // This is the new shared chunk to which we'll be adding modules.
-        const sharedChunk = compilation.addChunk(spec.name);
+    // Return the specs in the order they're applied: by priority, highest
+    // first, and in the order they're listed when the priorities are equal.
+    getSortedSpecs() {
+        return this.specs
+            .map((spec, index) => ({ spec, index }))
+            .sort(
+                (a, b) =>
+                    (b.spec.priority || 0) - (a.spec.priority || 0) ||
+                    a.index - b.index
+            )
+            .map(({ spec }) => spec);
+    }
 
-        // Add module dependencies.
-        for (const dep of moduleDeps) {
-            commonModules.add(dep);
-            globalModulesSet.add(dep);
-        }
+    // Throw if the options are invalid.  The error points at the offending
+    // option, e.g. 'specs[1].minChunks', so that it's easy to find.
+    validateOptions(options) {
+        const fail = (key, expected) => {
+            throw new Error(`SharedChunksPlugin: ${key} ${expected}`);
+        };
 
-        // Add all common modules to the target chunk.
-        for (const module of commonModules) {
-            sharedChunk.addModule(module);
-            module.addChunk(sharedChunk); // modules can appear in multiple chunks
+        if (!options || typeof options !== 'object') {
+            fail('options', 'must be an object');
         }
+        this.validateKeys(options, pluginOptionNames, '');
 
-        // Add chunk dependencies.
-        sharedChunk.parents = [...chunkDeps];
-        for (const chunk of chunkDeps) {
-            chunk.addChunk(sharedChunk);
+        if (!Array.isArray(options.specs)) {
+            fail('specs', 'must be an array');
         }
-
-        // It's possible that moduleFilter function filters out all modules
-        // from a particular chunk in which case it isn't actually affected.
-        const affectedChunks = new Set();
-        for (const module of commonModules) {
-            for (const chunk of allChunks) {
-                if (!selectedChunks.includes(chunk) && chunk.name !== null) {
-                    continue;
-                }
-                if (module.removeChunk(chunk)) {
-                    affectedChunks.add(chunk);
-                }
+        if (
+            options.manifest !== undefined &&
+            typeof options.manifest !== 'boolean' &&
+            (typeof options.manifest !== 'string' || !options.manifest)
+        ) {
+            fail('manifest', 'must be a boolean or a filename');
+        }
+        if (
+            options.onOverlap !== undefined &&
+            !['warn', 'error', 'skip'].includes(options.onOverlap)
+        ) {
+            fail('onOverlap', "must be 'warn', 'error' or 'skip'");
+        }
+        if (
+            options.verbose !== undefined &&
+            typeof options.verbose !== 'boolean'
+        ) {
+            fail('verbose', 'must be a boolean');
+        }
+        if (
+            options.maxInitialRequests !== undefined &&
+            !(
+                (Number.isInteger(options.maxInitialRequests) ||
+                    options.maxInitialRequests === Infinity) &&
+                options.maxInitialRequests >= 1
+            )
+        ) {
+            fail('maxInitialRequests', 'must be an integer greater than 0');
+        }
+        if (
+            options.chunkIds !== undefined &&
+            !['name', 'hash'].includes(options.chunkIds)
+        ) {
+            fail('chunkIds', "must be 'name' or 'hash'");
+        }
+        for (const key of ['explain', 'dryRun']) {
+            if (
+                options[key] !== undefined &&
+                typeof options[key] !== 'boolean'
+            ) {
+                fail(key, 'must be a boolean');
             }
         }
-
-        // Copied from makeTargetChunkParentOfAffectedChunks in
-        // CommonsChunkPlugin.js with targetChunk renamed to sharedChunk.
-        for (const chunk of affectedChunks) {
-            chunk.parents = [...chunk.parents, sharedChunk];
-            sharedChunk.addChunk(chunk);
-
-            for (const entrypoint of chunk.entrypoints) {
-                entrypoint.insertChunk(sharedChunk, chunk);
+        if (options.auto !== undefined) {
+            this.validateAutoOptions(options.auto);
+        }
+        if (
+            options.lockFile !== undefined &&
+            typeof options.lockFile !== 'boolean' &&
+            (typeof options.lockFile !== 'string' || !options.lockFile)
+        ) {
+            fail('lockFile', 'must be a boolean or a filename');
+        }
+        if (
+            options.maxChurn !== undefined &&
+            !(
+                typeof options.maxChurn === 'number' &&
+                options.maxChurn >= 0 &&
+                options.maxChurn <= 1
+            )
+        ) {
+            fail('maxChurn', 'must be a number between 0 and 1');
+        }
+        if (options.runtimeChunk !== undefined) {
+            this.validateRuntimeChunkOptions(options.runtimeChunk);
+            if (options.runtimeChunk.inline && !options.manifest) {
+                fail('runtimeChunk.inline', 'requires the manifest option');
             }
         }
 
-        sharedChunksSet.add(sharedChunk);
+        const names = new Map();
+        options.specs.forEach((spec, index) => {
+            if (!spec || typeof spec !== 'object') {
+                fail(`specs[${index}]`, 'must be an object');
+            }
+            this.validateSpec(spec, index);
+            if (names.has(spec.name)) {
+                fail(
+                    `specs[${index}].name`,
+                    `'${spec.name}' is already used by ` +
+                        `specs[${names.get(spec.name)}]`
+                );
+            }
+            names.set(spec.name, index);
+        });
     }
 
-    // Return module and chunk dependencies for the given commonModules.
-    // Module dependencies are determined recursively.  Whenever a module
-    // appearing in globalModulesSet is encountered, recursion is terminated
-    // and any chunks that the module appears in are return as chunk
-    // dependencies.
-    getDependencies(commonModules, globalModulesSet, sharedChunksSet) {
-        const moduleDeps = new Set();
-        const chunkDeps = new Set();
-
-        const walkDeps = module => {
-            for (const dep of module.dependencies) {
-                if (dep.module) {
-                    // Ignore dependencies that appear in either an existing
-                    // shared chunk or are in commonModules.  In either case
-                    // the module will have been added to globalModulesSet so
-                    // we check that.
-                    if (!globalModulesSet.has(dep.module)) {
-                        // Avoid unnecessary recursion.
-                        if (!moduleDeps.has(dep.module)) {
-                            moduleDeps.add(dep.module);
-                            walkDeps(dep.module);
-                        }
-                    } else {
-                        for (const chunk of sharedChunksSet) {
-                            if (chunk.containsModule(dep.module)) {
-                                chunkDeps.add(chunk);
-                            }
-                        }
-                    }
-                }
-            }
+    // Throw if any of the spec's options is unknown or has the wrong type or
+    // value.
+    validateSpec(spec, index) {
+        const fail = (key, expected) => {
+            throw new Error(
+                `SharedChunksPlugin: specs[${index}].${key} ${expected}`
+            );
         };
+        const isSet = key => spec[key] !== undefined;
+        const isConditions = conditions =>
+            [].concat(conditions).every(isCondition);
+        const isInteger = (value, min) =>
+            (Number.isInteger(value) || value === Infinity) && value >= min;
 
-        for (const module of commonModules) {
-            walkDeps(module);
-        }
+        this.validateKeys(spec, specOptionNames, `specs[${index}].`);
+
+        if (typeof spec.name !== 'string' || !spec.name) {
+            fail('name', 'must be a non-empty string');
+        }
+        for (const key of [
+            'selectedChunks',
+            'excludeChunks',
+            'selectedAsyncChunks',
+            'asyncChunksFrom',
+        ]) {
+            if (isSet(key) && !isChunkCondition(spec[key])) {
+                fail(
+                    key,
+                    'must be a chunk name pattern, a RegExp, an array of ' +
+                        'them or a function'
+                );
+            }
+        }
+        if (isSet('moduleFilter') && typeof spec.moduleFilter !== 'function') {
+            fail('moduleFilter', 'must be a function');
+        }
+        if (isSet('test') && !isCondition(spec.test)) {
+            fail('test', 'must be a RegExp, a string or a function');
+        }
+        for (const key of ['include', 'exclude']) {
+            if (isSet(key) && !isConditions(spec[key])) {
+                fail(key, 'must be a RegExp, a string or an array of them');
+            }
+        }
+        if (
+            isSet('packages') &&
+            !(
+                Array.isArray(spec.packages) &&
+                spec.packages.every(name => typeof name === 'string')
+            )
+        ) {
+            fail('packages', 'must be an array of package names');
+        }
+        if (isSet('minChunks') && !isInteger(spec.minChunks, 1)) {
+            fail('minChunks', 'must be an integer greater than 0');
+        }
+        for (const key of ['minEntryChunks', 'minAsyncChunks']) {
+            if (isSet(key) && !isInteger(spec[key], 0)) {
+                fail(key, 'must be an integer greater than or equal to 0');
+            }
+        }
+        if (
+            isSet('asyncChunks') &&
+            !['include', 'exclude', 'only', 'selected'].includes(
+                spec.asyncChunks
+            )
+        ) {
+            fail(
+                'asyncChunks',
+                "must be 'include', 'exclude', 'only' or 'selected'"
+            );
+        }
+        if (
+            isSet('transitiveDeps') &&
+            !['include', 'exclude', 'separate'].includes(spec.transitiveDeps)
+        ) {
+            fail(
+                'transitiveDeps',
+                "must be 'include', 'exclude' or 'separate'"
+            );
+        }
+        if (
+            isSet('priority') &&
+            !(typeof spec.priority === 'number' && isFinite(spec.priority))
+        ) {
+            fail('priority', 'must be a number');
+        }
+        for (const key of ['async', 'useExistingChunk', 'reuseExistingChunk']) {
+            if (isSet(key) && typeof spec[key] !== 'boolean') {
+                fail(key, 'must be a boolean');
+            }
+        }
+        if (
+            isSet('minSize') &&
+            !(typeof spec.minSize === 'number' && spec.minSize >= 0)
+        ) {
+            fail('minSize', 'must be a number greater than or equal to 0');
+        }
+        if (
+            isSet('maxSize') &&
+            !(typeof spec.maxSize === 'number' && spec.maxSize > 0)
+        ) {
+            fail('maxSize', 'must be a number greater than 0');
+        }
+        if (
+            isSet('minSize') &&
+            isSet('maxSize') &&
+            spec.minSize > spec.maxSize
+        ) {
+            fail('minSize', 'must not be greater than maxSize');
+        }
+        if (spec.reuseExistingChunk && spec.useExistingChunk) {
+            fail('reuseExistingChunk', "can't be used with useExistingChunk");
+        }
+        for (const key of ['selectedAsyncChunks', 'asyncChunksFrom']) {
+            if (isSet(key) && spec.asyncChunks === 'exclude') {
+                fail(key, "can't be used with asyncChunks: 'exclude'");
+            }
+        }
+    }
+
+    // Throw if the 'auto' option isn't a boolean or a valid set of options.
+    validateAutoOptions(auto) {
+        const fail = (key, expected) => {
+            throw new Error(`SharedChunksPlugin: auto.${key} ${expected}`);
+        };
+
+        if (typeof auto === 'boolean') {
+            return;
+        }
+        if (!auto || typeof auto !== 'object') {
+            throw new Error(
+                'SharedChunksPlugin: auto must be a boolean or an object'
+            );
+        }
+        this.validateKeys(auto, autoOptionNames, 'auto.');
+
+        const isSet = key => auto[key] !== undefined;
+        const isInteger = (value, min) =>
+            (Number.isInteger(value) || value === Infinity) && value >= min;
+
+        if (isSet('name') && (typeof auto.name !== 'string' || !auto.name)) {
+            fail('name', 'must be a non-empty string');
+        }
+        for (const key of ['selectedChunks', 'excludeChunks']) {
+            if (isSet(key) && !isChunkCondition(auto[key])) {
+                fail(
+                    key,
+                    'must be a chunk name pattern, a RegExp, an array of ' +
+                        'them or a function'
+                );
+            }
+        }
+        if (isSet('minChunks') && !isInteger(auto.minChunks, 2)) {
+            fail('minChunks', 'must be an integer greater than 1');
+        }
+        if (
+            isSet('minSize') &&
+            !(typeof auto.minSize === 'number' && auto.minSize >= 0)
+        ) {
+            fail('minSize', 'must be a number greater than or equal to 0');
+        }
+        for (const key of ['maxSharedChunks', 'maxParentsPerEntry']) {
+            if (isSet(key) && !isInteger(auto[key], 1)) {
+                fail(key, 'must be an integer greater than 0');
+            }
+        }
+    }
+
+    // Throw if the 'runtimeChunk' option isn't a boolean or a valid set of
+    // options.
+    validateRuntimeChunkOptions(runtimeChunk) {
+        const fail = (key, expected) => {
+            throw new Error(
+                `SharedChunksPlugin: runtimeChunk.${key} ${expected}`
+            );
+        };
+
+        if (typeof runtimeChunk === 'boolean') {
+            return;
+        }
+        if (!runtimeChunk || typeof runtimeChunk !== 'object') {
+            throw new Error(
+                'SharedChunksPlugin: runtimeChunk must be a boolean or an object'
+            );
+        }
+        this.validateKeys(
+            runtimeChunk,
+            runtimeChunkOptionNames,
+            'runtimeChunk.'
+        );
+
+        if (
+            runtimeChunk.name !== undefined &&
+            (typeof runtimeChunk.name !== 'string' || !runtimeChunk.name)
+        ) {
+            fail('name', 'must be a non-empty string');
+        }
+        if (
+            runtimeChunk.inline !== undefined &&
+            typeof runtimeChunk.inline !== 'boolean'
+        ) {
+            fail('inline', 'must be a boolean');
+        }
+    }
+
+    // Throw if the object has a key which isn't one of the known option names,
+    // suggesting the closest known name since it's most likely a typo.
+    validateKeys(object, optionNames, prefix) {
+        for (const key of Object.keys(object)) {
+            if (optionNames.includes(key)) {
+                continue;
+            }
+            const [suggestion] = optionNames
+                .filter(name => getEditDistance(key, name) <= 2)
+                .sort(
+                    (a, b) => getEditDistance(key, a) - getEditDistance(key, b)
+                );
+            throw new Error(
+                `SharedChunksPlugin: ${prefix}${key} is not a valid option` +
+                    (suggestion ? `, did you mean '${suggestion}'?` : '')
+            );
+        }
+    }
+
+    // Return specs for shared chunks which contain the modules that weren't
+    // added to a shared chunk by any of the explicit specs.  Modules are
+    // grouped by the set of entry chunks they appear in and the largest groups
+    // become shared chunks, up to auto.maxSharedChunks of them and as long as
+    // none of the entry chunks ends up with more than auto.maxParentsPerEntry
+    // shared chunks.
+    //
+    // The names of the shared chunks are derived from the names of the entry
+    // chunks in each group, e.g. 'shared~bar~foo', so that they're the same
+    // from one build to the next.  Long names are replaced with a hash.
+    getAutoSpecs(
+        compilation,
+        allChunks,
+        globalModulesSet,
+        sharedChunksSet,
+        parentsMap,
+        graph
+    ) {
+        const auto = this.auto;
+        const selectedChunks = allChunks.filter(
+            chunk =>
+                !sharedChunksSet.has(chunk) &&
+                !isAsyncChunk(compilation, chunk, sharedChunksSet) &&
+                (!auto.selectedChunks ||
+                    matchesChunk(auto.selectedChunks, chunk)) &&
+                !(auto.excludeChunks && matchesChunk(auto.excludeChunks, chunk))
+        );
+
+        // Track which of the selected chunks each module appears in.
+        const moduleToChunksMap = new Map();
+        for (const chunk of selectedChunks) {
+            for (const module of graph.getModules(chunk)) {
+                if (globalModulesSet.has(module)) {
+                    continue;
+                }
+                if (!moduleToChunksMap.has(module)) {
+                    moduleToChunksMap.set(module, []);
+                }
+                moduleToChunksMap.get(module).push(chunk.name);
+            }
+        }
+
+        // Group modules by the set of chunks they appear in.
+        const groups = new Map();
+        for (const [module, chunkNames] of moduleToChunksMap) {
+            if (chunkNames.length < auto.minChunks) {
+                continue;
+            }
+            chunkNames.sort();
+            const key = chunkNames.join('~');
+            if (!groups.has(key)) {
+                groups.set(key, { key, chunkNames, modules: new Set() });
+            }
+            groups.get(key).modules.add(module);
+        }
+
+        // The largest groups save the most bytes.  Ties are broken by key so
+        // that the result doesn't depend on the order of the chunks.
+        const candidates = [...groups.values()]
+            .map(group =>
+                Object.assign(group, { size: getModulesSize(group.modules) })
+            )
+            .filter(group => group.size >= auto.minSize)
+            .sort(
+                (a, b) =>
+                    b.size - a.size ||
+                    (a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+            );
+
+        const parentCounts = new Map(
+            selectedChunks.map(chunk => [
+                chunk.name,
+                (parentsMap.get(chunk) || []).length,
+            ])
+        );
+        const chosen = [];
+        for (const group of candidates) {
+            if (chosen.length >= auto.maxSharedChunks) {
+                break;
+            }
+            if (
+                group.chunkNames.some(
+                    name => parentCounts.get(name) >= auto.maxParentsPerEntry
+                )
+            ) {
+                continue;
+            }
+            for (const name of group.chunkNames) {
+                parentCounts.set(name, parentCounts.get(name) + 1);
+            }
+            chosen.push(group);
+        }
+
+        // Groups which appear in more chunks are created first so that their
+        // modules aren't pulled into the other shared chunks as dependencies.
+        chosen.sort(
+            (a, b) =>
+                b.chunkNames.length - a.chunkNames.length ||
+                (a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+        );
+
+        return chosen.map(group => {
+            let name = `${auto.name}~${group.key}`;
+            if (name.length > 100) {
+                const hash = crypto
+                    .createHash('md5')
+                    .update(group.key)
+                    .digest('hex');
+                name = `${auto.name}~${hash.slice(0, 8)}`;
+            }
+            return {
+                name,
+                selectedChunks: group.chunkNames,
+                asyncChunks: 'exclude',
+                moduleFilter: module =>
+                    group.modules.has(module) && !globalModulesSet.has(module),
+                minChunks: group.chunkNames.length,
+            };
+        });
+    }
+
+    // Return a predicate which combines all of the options a spec can use to
+    // match modules.  A module must match all of the options that are set.
+    getModuleMatcher(spec) {
+        const packagePatterns = spec.packages
+            ? spec.packages.map(globToRegExp)
+            : null;
+
+        // Modules appear in many chunks but only need to be matched once.
+        const results = new Map();
+        const matches = module => {
+            const resource = getModuleResource(module);
+            if (spec.test && !matchesCondition(spec.test, resource)) {
+                return false;
+            }
+            if (spec.include && !matchesAnyCondition(spec.include, resource)) {
+                return false;
+            }
+            if (spec.exclude && matchesAnyCondition(spec.exclude, resource)) {
+                return false;
+            }
+            if (packagePatterns) {
+                const packageName = module.external
+                    ? getExternalPackageName(resource)
+                    : getPackageName(resource);
+                if (
+                    !packageName ||
+                    !packagePatterns.some(pattern => pattern.test(packageName))
+                ) {
+                    return false;
+                }
+            }
+            return spec.moduleFilter ? spec.moduleFilter(module) : true;
+        };
+
+        return module => {
+            if (!results.has(module)) {
+                results.set(module, matches(module));
+            }
+            return results.get(module);
+        };
+    }
+
+    // Summarize what each spec did.  This is done after the compilation is
+    // sealed so that chunks are labelled the same way as in the manifest.
+    // 'chunks' are the chunks of the module graph, which include the
+    // placeholders of a dry run.
+    getSpecStats(compilation, specResults, chunks, sharedChunksSet) {
+        const labels = getChunkLabels(compilation, chunks, sharedChunksSet);
+        const getChunkName = chunk => labels.get(chunk);
+
+        return specResults.map(({ spec, result }) => {
+            if (!result) {
+                return {
+                    name: spec.name,
+                    created: false,
+                    chunks: [],
+                    modules: 0,
+                    size: 0,
+                    affectedChunks: [],
+                    overBudgetChunks: [],
+                    chunkDeps: [],
+                };
+            }
+            return {
+                name: spec.name,
+                created: result.chunkNames.length > 0,
+                chunks: result.chunkNames,
+                modules: result.modules.size,
+                size: getModulesSize(result.modules),
+                affectedChunks: [...result.affectedChunks].map(getChunkName),
+                overBudgetChunks: [...result.overBudgetChunks].map(
+                    getChunkName
+                ),
+                chunkDeps: [...result.chunkDeps].map(getChunkName),
+            };
+        });
+    }
+
+    // Create a shared chunk
+    //
+    // The process involes the following steps:
+    // - determine which modules should be added to the new shared chunk
+    //   - if any of these module appear in an existing shared chunk, add that
+    //     chunk as a dependency of the new chunk
+    // - remove those modules from other chunks
+    // - add those modules to the new chunk
+    createSharedChunk(
+        compilation,
+        allChunks,
+        globalModulesSet,
+        sharedChunksSet,
+        parentsMap,
+        graph,
+        spec,
+        locked,
+        lockReasons
+    ) {
+        // The names in selectedChunks, selectedAsyncChunks and asyncChunksFrom
+        // can't be checked until the chunks have been created.  A typo would
+        // otherwise leave the chunk out.  Patterns may legitimately not match
+        // any chunks.
+        for (const key of [
+            'selectedChunks',
+            'selectedAsyncChunks',
+            'asyncChunksFrom',
+        ]) {
+            if (!spec[key] || typeof spec[key] === 'function') {
+                continue;
+            }
+            const index = this.specs.indexOf(spec);
+            for (const name of [].concat(spec[key])) {
+                if (
+                    typeof name === 'string' &&
+                    !name.includes('*') &&
+                    !graph.getChunk(name)
+                ) {
+                    compilation.errors.push(
+                        new Error(
+                            `SharedChunksPlugin: specs[${index}].${key} ` +
+                                `contains '${name}' which isn't an existing chunk`
+                        )
+                    );
+                }
+            }
+        }
+
+        // Some specs add modules to an existing entry chunk instead of
+        // creating a new chunk.
+        const existingChunk = spec.useExistingChunk
+            ? this.getExistingChunk(compilation, graph, sharedChunksSet, spec)
+            : null;
+        if (spec.useExistingChunk && !existingChunk) {
+            return null;
+        }
+
+        // Affected chunks will have one or more modules removed from them.
+        // This will also include new chunks generated from previous calls to
+        // processSharedSpec.
+        const asyncChunksSet = new Set(
+            allChunks.filter(chunk =>
+                isAsyncChunk(compilation, chunk, sharedChunksSet)
+            )
+        );
+        const isAsync = chunk => asyncChunksSet.has(chunk);
+        const asyncChunks = spec.async ? 'only' : spec.asyncChunks || 'include';
+        const selectedChunks = allChunks.filter(chunk => {
+            // An existing chunk can't share modules with itself.
+            if (chunk === existingChunk) {
+                return false;
+            }
+            // Shared chunks created by earlier specs are never selected.
+            // They also shouldn't be passed to the conditions, which are
+            // written for webpack's chunks, since in a dry run they're only
+            // placeholders.
+            if (sharedChunksSet.has(chunk)) {
+                return false;
+            }
+            if (spec.excludeChunks && matchesChunk(spec.excludeChunks, chunk)) {
+                return false;
+            }
+            if (isAsync(chunk)) {
+                // Async chunks are included regardless of selectedChunks
+                // unless the spec says otherwise.
+                if (asyncChunks === 'exclude') {
+                    return false;
+                }
+                if (
+                    spec.selectedAsyncChunks &&
+                    !matchesChunk(spec.selectedAsyncChunks, chunk)
+                ) {
+                    return false;
+                }
+                if (
+                    spec.asyncChunksFrom &&
+                    !getAsyncChunkOrigins(
+                        compilation,
+                        chunk,
+                        sharedChunksSet
+                    ).some(origin => matchesChunk(spec.asyncChunksFrom, origin))
+                ) {
+                    return false;
+                }
+                if (asyncChunks !== 'selected') {
+                    return true;
+                }
+            } else if (asyncChunks === 'only') {
+                return false;
+            }
+            return spec.selectedChunks
+                ? matchesChunk(spec.selectedChunks, chunk)
+                : true;
+        });
+
+        const selectedChunksSet = new Set(selectedChunks);
+
+        // Track how many entry and async chunks each module appears in.
+        const moduleMatcher = this.getModuleMatcher(spec);
+        const commonModulesToCountMap = new Map();
+        for (const chunk of selectedChunks) {
+            for (const module of graph.getModules(chunk)) {
+                if (moduleMatcher(module)) {
+                    const counts = commonModulesToCountMap.has(module)
+                        ? commonModulesToCountMap.get(module)
+                        : { entryChunks: 0, asyncChunks: 0 };
+                    if (isAsync(chunk)) {
+                        counts.asyncChunks += 1;
+                    } else {
+                        counts.entryChunks += 1;
+                    }
+                    commonModulesToCountMap.set(module, counts);
+                }
+            }
+        }
+
+        // Some shared chunks may specify a minimum number of chunks that a
+        // module must appear in before we move it to the shared chunk.  The
+        // number of entry chunks and async chunks can also be limited
+        // separately, e.g. to avoid moving modules which only appear in async
+        // chunks into a shared chunk that is loaded by entry chunks.
+        const minChunks = spec.minChunks || 1;
+        const minEntryChunks = spec.minEntryChunks || 0;
+        const minAsyncChunks = spec.minAsyncChunks || 0;
+
+        // Async shared chunks are loaded on demand so they can't contain any
+        // modules that entry chunks need.
+        const entryModules = new Set();
+        if (spec.async) {
+            for (const chunk of allChunks) {
+                if (!isAsync(chunk)) {
+                    for (const module of graph.getModules(chunk)) {
+                        entryModules.add(module);
+                    }
+                }
+            }
+        }
+
+        const commonModules = new Set();
+
+        // Why each module was added to the shared chunk, which is reported
+        // by the 'explain' option.
+        const moduleReasons = new Map();
+
+        // Modules which were already added to a shared chunk by an earlier
+        // spec but that this spec would add as well.
+        const overlappingModules = new Set();
+
+        // With a lock file, modules which were in this spec's shared chunk
+        // are kept in it and modules which weren't in any shared chunk are
+        // kept out of it, regardless of the number of chunks they appear in.
+        // If too many of them changed the lock is ignored for this spec.
+        const matchedModules = [];
+        const keptModules = [];
+        const heldModules = [];
+        for (const [module, counts] of commonModulesToCountMap) {
+            if (entryModules.has(module)) {
+                continue;
+            }
+            const isMatched =
+                counts.entryChunks + counts.asyncChunks >= minChunks &&
+                counts.entryChunks >= minEntryChunks &&
+                counts.asyncChunks >= minAsyncChunks;
+            const lockedName =
+                locked && locked.has(module) ? locked.get(module) : undefined;
+            if (isMatched && lockedName === null) {
+                heldModules.push([module, counts]);
+            } else if (isMatched) {
+                matchedModules.push([module, counts]);
+            } else if (
+                lockedName &&
+                isSpecChunkName(spec, lockedName) &&
+                !globalModulesSet.has(module)
+            ) {
+                keptModules.push([module, counts]);
+            }
+        }
+
+        const changedCount = keptModules.length + heldModules.length;
+        const isOverChurn =
+            changedCount >
+            this.maxChurn * (matchedModules.length + changedCount);
+
+        // The modules which the lock would have kept in the shared chunk no
+        // longer appear in enough chunks, which is why they moved out of it.
+        const getCountReason = counts => {
+            const inChunks = (count, kind) =>
+                `it's in ${count} ${kind}${count === 1 ? 'chunk' : 'chunks'}`;
+            const chunks = counts.entryChunks + counts.asyncChunks;
+            if (chunks < minChunks) {
+                return `${inChunks(chunks, '')}, minChunks ${minChunks}`;
+            }
+            if (counts.entryChunks < minEntryChunks) {
+                return (
+                    `${inChunks(counts.entryChunks, 'entry ')}, ` +
+                    `minEntryChunks ${minEntryChunks}`
+                );
+            }
+            return (
+                `${inChunks(counts.asyncChunks, 'async ')}, ` +
+                `minAsyncChunks ${minAsyncChunks}`
+            );
+        };
+
+        if (isOverChurn) {
+            const churnReason =
+                `more modules changed in '${spec.name}' than maxChurn ` +
+                `allows`;
+            for (const [module] of heldModules) {
+                lockReasons.set(module, churnReason);
+            }
+            for (const [module, counts] of keptModules) {
+                lockReasons.set(
+                    module,
+                    `${getCountReason(counts)}, and ${churnReason}`
+                );
+            }
+            matchedModules.push(...heldModules);
+        }
+
+        for (const [module, counts] of matchedModules) {
+            if (globalModulesSet.has(module)) {
+                if (this.onOverlap === 'skip') {
+                    continue;
+                }
+                overlappingModules.add(module);
+            }
+            commonModules.add(module);
+            globalModulesSet.add(module);
+            moduleReasons.set(module, {
+                reason: 'matched',
+                entryChunks: counts.entryChunks,
+                asyncChunks: counts.asyncChunks,
+                minChunks,
+            });
+        }
+
+        if (!isOverChurn) {
+            for (const [module] of keptModules) {
+                commonModules.add(module);
+                globalModulesSet.add(module);
+                moduleReasons.set(module, { reason: 'locked' });
+            }
+        }
+
+        if (
+            overlappingModules.size > 0 &&
+            (this.onOverlap === 'warn' || this.onOverlap === 'error')
+        ) {
+            this.reportOverlap(
+                compilation,
+                overlappingModules,
+                sharedChunksSet,
+                graph,
+                spec
+            );
+        }
+
+        // All of the modules in an existing chunk are shared, regardless of
+        // the moduleFilter or minChunks, so that they're removed from all of
+        // the other selected chunks which contain them.
+        if (existingChunk) {
+            for (const module of graph.getModules(existingChunk)) {
+                commonModules.add(module);
+                globalModulesSet.add(module);
+                if (!moduleReasons.has(module)) {
+                    moduleReasons.set(module, { reason: 'existing' });
+                }
+            }
+        }
+
+        // Get chunk and module dependencies
+        const {
+            moduleDeps,
+            chunkDeps,
+            importers,
+            chunkDepCauses,
+        } = this.getDependencies(
+            commonModules,
+            globalModulesSet,
+            sharedChunksSet,
+            graph
+        );
+
+        // Dependencies which the spec didn't match are only added to the
+        // shared chunk itself with transitiveDeps: 'include'.  With 'separate'
+        // they're moved into their own shared chunk further down.
+        const transitiveDeps = spec.transitiveDeps || 'include';
+        const includedDeps =
+            transitiveDeps === 'include' ? moduleDeps : new Set();
+
+        // If there aren't any modules to add to the chunk don't bother
+        // creating a shared chunk.
+        if (commonModules.size === 0 && includedDeps.size === 0) {
+            compilation.warnings.push(
+                new Error(
+                    `SharedChunksPlugin: '${spec.name}' chunk not created, ` +
+                        `contains no modules`
+                )
+            );
+            return null;
+        }
+
+        // The importers of each dependency lead back to a module which the
+        // spec matched.
+        const getDependencyReason = dep => {
+            const importerChain = [];
+            for (
+                let importer = importers.get(dep);
+                importer;
+                importer = importers.get(importer)
+            ) {
+                importerChain.unshift(importer);
+            }
+            return { reason: 'dependency', importers: importerChain };
+        };
+
+        // Add module dependencies.
+        for (const dep of includedDeps) {
+            commonModules.add(dep);
+            globalModulesSet.add(dep);
+            moduleReasons.set(dep, getDependencyReason(dep));
+        }
+
+        // Small shared chunks aren't worth the extra request, in which case we
+        // leave the modules where they are.  An existing chunk is always used.
+        if (
+            spec.minSize &&
+            !existingChunk &&
+            getModulesSize(commonModules) < spec.minSize
+        ) {
+            compilation.warnings.push(
+                new Error(
+                    `SharedChunksPlugin: '${spec.name}' chunk not created, ` +
+                        `smaller than minSize`
+                )
+            );
+            for (const module of commonModules) {
+                if (!overlappingModules.has(module)) {
+                    globalModulesSet.delete(module);
+                }
+            }
+            return null;
+        }
+
+        // Large shared chunks are split into multiple parts named 'name~0',
+        // 'name~1', etc.  An existing chunk is never split.  The modules are
+        // sorted by path so that they're added in the same order regardless of
+        // the order in which they were found.
+        const parts =
+            spec.maxSize && !existingChunk
+                ? this.splitModules(commonModules, spec.maxSize)
+                : [[...commonModules].sort(compareModulePaths)];
+        const partNames =
+            parts.length > 1
+                ? parts.map((part, index) => `${spec.name}~${index}`)
+                : [spec.name];
+
+        // A selected chunk which already contains exactly the modules of the
+        // shared chunk is used as is.  Entry chunks can't be reused since
+        // they'd have to be loaded before themselves.
+        const reusedChunk =
+            spec.reuseExistingChunk && parts.length === 1
+                ? selectedChunks.find(
+                      chunk =>
+                          !sharedChunksSet.has(chunk) &&
+                          !chunk.hasEntryModule() &&
+                          graph.getModules(chunk).size === commonModules.size &&
+                          [...commonModules].every(module =>
+                              graph.containsModule(chunk, module)
+                          )
+                  )
+                : null;
+        if (reusedChunk) {
+            selectedChunks.splice(selectedChunks.indexOf(reusedChunk), 1);
+            selectedChunksSet.delete(reusedChunk);
+            if (!reusedChunk.name && !graph.getChunk(spec.name)) {
+                graph.nameChunk(reusedChunk, spec.name);
+            }
+        }
+
+        for (const name of partNames) {
+            if (graph.getChunk(name) && !existingChunk && !reusedChunk) {
+                // Note: this is different from how CommonsChunkPlugin works.
+                compilation.errors.push(
+                    new Error(
+                        `SharedChunksPlugin doesn't work with existing ` +
+                            `chunks, set useExistingChunk to use '${name}'`
+                    )
+                );
+                for (const module of commonModules) {
+                    if (!overlappingModules.has(module)) {
+                        globalModulesSet.delete(module);
+                    }
+                }
+                return null;
+            }
+        }
+
+        // Chunks which had modules moved out of them by any of the parts.
+        const allAffectedChunks = new Set();
+
+        // Entry chunks which kept their own copies of the modules because
+        // loading another shared chunk would exceed maxInitialRequests.
+        const overBudgetChunks = new Set();
+
+        // The parts which were actually created and the modules in them.
+        const createdNames = [];
+        const movedModules = new Set();
+        const moduleToChunkMap = new Map();
+
+        // The auxiliary shared chunk for transitiveDeps: 'separate' is created
+        // from the same chunks as the shared chunk itself, before it so that
+        // it's loaded first.  It's reported as part of this spec.
+        if (transitiveDeps === 'separate' && moduleDeps.size > 0) {
+            const depsResult = this.createSharedChunk(
+                compilation,
+                allChunks,
+                globalModulesSet,
+                sharedChunksSet,
+                parentsMap,
+                graph,
+                {
+                    name: `${spec.name}~deps`,
+                    selectedChunks: chunk => selectedChunksSet.has(chunk),
+                    asyncChunks: 'selected',
+                    async: spec.async,
+                    moduleFilter: module => moduleDeps.has(module),
+                },
+                locked,
+                lockReasons
+            );
+
+            if (depsResult) {
+                for (const chunk of new Set(
+                    depsResult.moduleToChunkMap.values()
+                )) {
+                    const dep = [...moduleDeps].find(
+                        dep =>
+                            depsResult.moduleToChunkMap.get(dep) === chunk &&
+                            commonModules.has(importers.get(dep))
+                    );
+                    chunkDeps.add(chunk);
+                    chunkDepCauses.set(chunk, {
+                        module: importers.get(dep),
+                        dependency: dep,
+                    });
+                }
+                createdNames.push(...depsResult.chunkNames);
+                for (const [module, chunk] of depsResult.moduleToChunkMap) {
+                    movedModules.add(module);
+                    moduleToChunkMap.set(module, chunk);
+                    moduleReasons.set(module, getDependencyReason(module));
+                }
+                for (const chunk of depsResult.affectedChunks) {
+                    allAffectedChunks.add(chunk);
+                }
+                for (const chunk of depsResult.overBudgetChunks) {
+                    overBudgetChunks.add(chunk);
+                }
+            }
+        }
+
+        parts.forEach((modules, index) => {
+            // This is the shared chunk to which we'll be adding modules.
+            const sharedChunk =
+                existingChunk ||
+                reusedChunk ||
+                graph.addChunk(partNames[index]);
+
+            // Add all common modules to the target chunk.
+            for (const module of modules) {
+                graph.addModule(sharedChunk, module);
+            }
+
+            // Add chunk dependencies.  An existing chunk may already depend
+            // on shared chunks created by earlier specs.  The parts of a split
+            // chunk don't depend on each other, they all have the same parents.
+            const parents = parentsMap.get(sharedChunk) || [];
+            parentsMap.set(sharedChunk, [
+                ...parents,
+                ...[...chunkDeps].filter(chunk => !parents.includes(chunk)),
+            ]);
+            if (!usesChunkGroups(compilation) && !this.dryRun) {
+                for (const chunk of chunkDeps) {
+                    sharedChunk.addParent(chunk);
+                    chunk.addChunk(sharedChunk);
+                }
+            }
+
+            // Entry chunks which are already at the request budget leave the
+            // modules where they are.
+            const isOverBudget = chunk =>
+                this.maxInitialRequests &&
+                !sharedChunksSet.has(chunk) &&
+                isInitialChunk(compilation, chunk) &&
+                this.isOverBudget(
+                    chunk,
+                    sharedChunk,
+                    sharedChunksSet,
+                    parentsMap
+                );
+
+            // Find the modules that each of the selected chunks contains by
+            // looking up the chunks of each module, rather than checking every
+            // chunk for every module.  It's possible that moduleFilter
+            // function filters out all modules from a particular chunk in
+            // which case it isn't actually affected.
+            const chunkToModulesMap = new Map();
+            for (const module of modules) {
+                for (const chunk of graph.getChunks(module)) {
+                    if (selectedChunksSet.has(chunk)) {
+                        if (!chunkToModulesMap.has(chunk)) {
+                            chunkToModulesMap.set(chunk, []);
+                        }
+                        chunkToModulesMap.get(chunk).push(module);
+                    }
+                }
+            }
+
+            const affectedChunks = new Set();
+            let skippedChunks = 0;
+            for (const chunk of selectedChunks) {
+                const chunkModules = chunkToModulesMap.get(chunk);
+                if (!chunkModules) {
+                    continue;
+                }
+                if (isOverBudget(chunk)) {
+                    overBudgetChunks.add(chunk);
+                    skippedChunks += 1;
+                    continue;
+                }
+                for (const module of chunkModules) {
+                    graph.removeModule(chunk, module);
+                }
+                affectedChunks.add(chunk);
+            }
+
+            // If none of the chunks could load the shared chunk it isn't
+            // needed at all.
+            if (
+                !existingChunk &&
+                !reusedChunk &&
+                affectedChunks.size === 0 &&
+                skippedChunks > 0
+            ) {
+                for (const module of modules) {
+                    graph.removeModule(sharedChunk, module);
+                    if (!overlappingModules.has(module)) {
+                        globalModulesSet.delete(module);
+                    }
+                }
+                graph.removeChunk(sharedChunk);
+                parentsMap.delete(sharedChunk);
+                return;
+            }
+
+            for (const chunk of affectedChunks) {
+                allAffectedChunks.add(chunk);
+                parentsMap.set(chunk, [
+                    ...(parentsMap.get(chunk) || []),
+                    sharedChunk,
+                ]);
+
+                // A dry run leaves webpack's chunk graph alone.
+                if (this.dryRun) {
+                    continue;
+                }
+
+                if (usesChunkGroups(compilation)) {
+                    // Copied from SplitChunksPlugin.js with newChunk renamed to
+                    // sharedChunk.  The shared chunk is loaded as part of every
+                    // chunk group (entrypoint or async) the affected chunk is
+                    // in.
+                    for (const chunkGroup of chunk.groupsIterable) {
+                        chunkGroup.insertChunk(sharedChunk, chunk);
+                        sharedChunk.addGroup(chunkGroup);
+
+                        // An existing entry chunk contains the webpack runtime
+                        // and runs its modules as soon as it's loaded, so it
+                        // has to run the entries that depend on it as well.
+                        // Otherwise each entry keeps its own runtime and
+                        // waits for the existing chunk forever.
+                        if (
+                            existingChunk &&
+                            chunkGroup.isInitial() &&
+                            chunkGroup.getRuntimeChunk() === chunk
+                        ) {
+                            chunkGroup.setRuntimeChunk(existingChunk);
+                        }
+                    }
+                } else if (spec.async || isAsync(chunk)) {
+                    // Based on moveExtractedChunkBlocksToTargetChunk in
+                    // CommonsChunkPlugin.js.  The blocks (require.ensure() or
+                    // import() calls) which load the affected chunk load the
+                    // shared chunk as well, nothing else may load it.  The
+                    // runtime skips it if it's already loaded.
+                    for (const block of chunk.blocks) {
+                        if (!block.chunks.includes(sharedChunk)) {
+                            block.chunks.unshift(sharedChunk);
+                        }
+                        sharedChunk.addBlock(block);
+                    }
+
+                    // The shared chunk is loaded by the same chunks that load
+                    // the affected chunk.  Affected entry chunks depend on
+                    // the shared chunk instead.
+                    for (const parent of chunk.parents) {
+                        if (
+                            !sharedChunksSet.has(parent) &&
+                            !(affectedChunks.has(parent) && !isAsync(parent))
+                        ) {
+                            sharedChunk.addParent(parent);
+                            parent.addChunk(sharedChunk);
+                        }
+                    }
+                } else {
+                    // Copied from makeTargetChunkParentOfAffectedChunks in
+                    // CommonsChunkPlugin.js with targetChunk renamed to
+                    // sharedChunk.
+                    chunk.parents = [...chunk.parents, sharedChunk];
+                    sharedChunk.addChunk(chunk);
+
+                    for (const entrypoint of chunk.entrypoints) {
+                        entrypoint.insertChunk(sharedChunk, chunk);
+                    }
+                }
+            }
+
+            sharedChunksSet.add(sharedChunk);
+            createdNames.push(sharedChunk.name || partNames[index]);
+            for (const module of modules) {
+                movedModules.add(module);
+                moduleToChunkMap.set(module, sharedChunk);
+            }
+        });
+
+        return {
+            chunkNames: createdNames,
+            modules: movedModules,
+            affectedChunks: allAffectedChunks,
+            overBudgetChunks,
+            chunkDeps,
+            moduleReasons,
+            moduleToChunkMap,
+            chunkDepCauses,
+        };
+    }
+
+    // Return a stable id for a shared chunk.  With chunkIds: 'name' this is
+    // the name of the chunk.  With chunkIds: 'hash' it's a short hash of the
+    // name and the (sorted) identifiers of the modules in the chunk, which are
+    // relative to the context so the id is the same on every machine.
+    getChunkId(chunk, requestShortener) {
+        if (this.chunkIds === 'name') {
+            return chunk.name;
+        }
+        const identifiers = getChunkModules(chunk)
+            .map(module => module.readableIdentifier(requestShortener))
+            .sort();
+        return crypto
+            .createHash('md5')
+            .update([chunk.name, ...identifiers].join('\n'))
+            .digest('hex')
+            .slice(0, 8);
+    }
+
+    // Whether loading the shared chunk (and the shared chunks it depends on)
+    // as well as the ones it already loads would take the entry chunk over
+    // maxInitialRequests.  The entry chunk itself counts as one request.
+    isOverBudget(chunk, sharedChunk, sharedChunksSet, parentsMap) {
+        const loadOrder = [...sharedChunksSet];
+        const parents = new Set(
+            this.getSharedParents(chunk, sharedChunksSet, parentsMap, loadOrder)
+        );
+        const newParents = [
+            sharedChunk,
+            ...this.getSharedParents(
+                sharedChunk,
+                sharedChunksSet,
+                parentsMap,
+                loadOrder
+            ),
+        ].filter(parent => !parents.has(parent));
+
+        // The runtime chunk is only created once all of the specs have run
+        // but it's one more request for every entry.
+        const requests =
+            parents.size + newParents.length + 1 + (this.runtimeChunk ? 1 : 0);
+
+        return newParents.length > 0 && requests > this.maxInitialRequests;
+    }
+
+    // Split modules into parts which are at most maxSize bytes, unless a
+    // single module is larger than that.  Modules are grouped by package, or
+    // by directory outside of node_modules, and whole groups are added to the
+    // parts in order of their paths.  Groups which are larger than maxSize
+    // are split into parts of their own.  This way a module which is added
+    // or removed only changes the part its group is in, unless the group no
+    // longer fits.
+    splitModules(modules, maxSize) {
+        const groups = new Map();
+        for (const module of [...modules].sort(compareModulePaths)) {
+            const key = getModuleGroup(module);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(module);
+        }
+
+        const parts = [];
+        let part = null;
+        let partSize = 0;
+        const addModules = groupModules => {
+            const size = getModulesSize(groupModules);
+            if (!part || partSize + size > maxSize) {
+                part = [];
+                partSize = 0;
+                parts.push(part);
+            }
+            part.push(...groupModules);
+            partSize += size;
+        };
+
+        // The groups are in order of the paths of their first modules.
+        for (const groupModules of groups.values()) {
+            if (getModulesSize(groupModules) <= maxSize) {
+                addModules(groupModules);
+                continue;
+            }
+            part = null;
+            for (const module of groupModules) {
+                addModules([module]);
+            }
+            part = null;
+        }
+
+        return parts;
+    }
+
+    // Report modules which the given spec would add to its shared chunk even
+    // though they were already added to another shared chunk, as a warning or
+    // an error depending on the onOverlap option.
+    reportOverlap(
+        compilation,
+        overlappingModules,
+        sharedChunksSet,
+        graph,
+        spec
+    ) {
+        const requestShortener = getRequestShortener(compilation);
+
+        const lines = [...overlappingModules]
+            .sort(compareModulePaths)
+            .map(module => {
+                const chunkNames = [...graph.getChunks(module)]
+                    .filter(chunk => sharedChunksSet.has(chunk))
+                    .map(chunk => `'${chunk.name}'`);
+                return (
+                    `  ${module.readableIdentifier(requestShortener)} ` +
+                    `(already in ${chunkNames.join(', ')})`
+                );
+            });
+
+        const error = new Error(
+            `SharedChunksPlugin: '${spec.name}' matches modules which are ` +
+                `already in other shared chunks:\n${lines.join('\n')}`
+        );
+
+        if (this.onOverlap === 'error') {
+            compilation.errors.push(error);
+        } else {
+            compilation.warnings.push(error);
+        }
+    }
+
+    // Return the modules of the compilation.
+    getAllModules(chunks, graph) {
+        const modules = new Set();
+        for (const chunk of chunks) {
+            for (const module of graph.getModules(chunk)) {
+                modules.add(module);
+            }
+        }
+        return modules;
+    }
+
+    // Look up the modules of the compilation in the lock file.  Returns a map
+    // between the modules in the lock file and the names of the shared chunks
+    // they were in, or null.
+    getLockedChunkNames(compilation, chunks, graph) {
+        const requestShortener = getRequestShortener(compilation);
+        const chunkNames = new Map();
+
+        for (const module of this.getAllModules(chunks, graph)) {
+            const identifier = module.readableIdentifier(requestShortener);
+            if (!this.lock.modules.hasOwnProperty(identifier)) {
+                continue;
+            }
+            chunkNames.set(module, this.lock.modules[identifier]);
+        }
+
+        return chunkNames;
+    }
+
+    // Record the shared chunk each module ended up in for the lock file and
+    // report the modules which were reassigned since it was written.
+    updateLock(
+        compilation,
+        chunks,
+        sharedChunksSet,
+        graph,
+        specResults,
+        locked,
+        lockReasons
+    ) {
+        const requestShortener = getRequestShortener(compilation);
+
+        const assignments = new Map();
+        for (const module of this.getAllModules(chunks, graph)) {
+            const sharedChunk = [...graph.getChunks(module)].find(chunk =>
+                sharedChunksSet.has(chunk)
+            );
+            assignments.set(module, sharedChunk ? sharedChunk.name : null);
+        }
+        this.lockMap.set(
+            compilation,
+            createLock(assignments, requestShortener)
+        );
+
+        if (!locked) {
+            return;
+        }
+
+        const moduleReasons = new Map();
+        for (const { result } of specResults) {
+            if (result) {
+                result.moduleReasons.forEach((reason, module) =>
+                    moduleReasons.set(module, reason)
+                );
+            }
+        }
+        const sharedChunkNames = new Set(
+            [...sharedChunksSet].map(chunk => chunk.name)
+        );
+
+        const getReason = (module, from, to) => {
+            if (lockReasons.has(module)) {
+                return lockReasons.get(module);
+            }
+            if (from && !sharedChunkNames.has(from)) {
+                return `'${from}' wasn't created`;
+            }
+            if (from) {
+                return `'${from}' no longer matches it`;
+            }
+            const { reason } = moduleReasons.get(module) || {};
+            if (reason === 'dependency') {
+                return `it's a dependency of a module in '${to}'`;
+            }
+            if (reason === 'existing') {
+                return `it's in the existing chunk '${to}'`;
+            }
+            return `'${to}' matches it`;
+        };
+
+        const reassignments = [];
+        for (const [module, from] of locked) {
+            const to = assignments.get(module);
+            if (to !== from) {
+                reassignments.push({
+                    module: module.readableIdentifier(requestShortener),
+                    from,
+                    to,
+                    reason: getReason(module, from, to),
+                });
+            }
+        }
+        if (reassignments.length > 0) {
+            reassignments.sort(
+                (a, b) =>
+                    a.module < b.module ? -1 : a.module > b.module ? 1 : 0
+            );
+            compilation.warnings.push(createReassignmentWarning(reassignments));
+        }
+    }
+
+    // Create the chunk that the webpack runtime is moved into and make it the
+    // first chunk of every entrypoint.  Entry chunks and shared chunks which
+    // don't depend on another shared chunk depend on the runtime chunk, which
+    // makes it the root of the shared chunks' load order.
+    createRuntimeChunk(compilation, sharedChunksSet, parentsMap, graph) {
+        const { name } = this.runtimeChunk;
+        if (graph.getChunk(name)) {
+            compilation.errors.push(
+                new Error(
+                    `SharedChunksPlugin: runtimeChunk.name '${name}' is ` +
+                        `already the name of a chunk`
+                )
+            );
+            return null;
+        }
+
+        const runtimeChunk = graph.addChunk(name);
+        sharedChunksSet.add(runtimeChunk);
+
+        const dependsOnSharedChunk = chunk =>
+            (parentsMap.get(chunk) || []).some(parent =>
+                sharedChunksSet.has(parent)
+            );
+
+        for (const [, entrypoint] of getEntrypoints(compilation)) {
+            for (const chunk of entrypoint.chunks) {
+                if (dependsOnSharedChunk(chunk)) {
+                    continue;
+                }
+                parentsMap.set(chunk, [
+                    ...(parentsMap.get(chunk) || []),
+                    runtimeChunk,
+                ]);
+                if (!usesChunkGroups(compilation)) {
+                    chunk.addParent(runtimeChunk);
+                    runtimeChunk.addChunk(chunk);
+                }
+            }
+
+            // webpack 3 renders the runtime into the first chunk of the
+            // entrypoint.  Copied from RuntimeChunkPlugin.js in webpack 4,
+            // which uses the entrypoint's runtime chunk instead.
+            entrypoint.unshiftChunk(runtimeChunk);
+            if (usesChunkGroups(compilation)) {
+                runtimeChunk.addGroup(entrypoint);
+                entrypoint.setRuntimeChunk(runtimeChunk);
+            }
+        }
+
+        return runtimeChunk;
+    }
+
+    // Return the existing entry chunk that a spec with useExistingChunk adds
+    // its modules to.
+    getExistingChunk(compilation, graph, sharedChunksSet, spec) {
+        const chunk = graph.getChunk(spec.name);
+
+        if (
+            !chunk ||
+            sharedChunksSet.has(chunk) ||
+            !isInitialChunk(compilation, chunk)
+        ) {
+            compilation.errors.push(
+                new Error(
+                    `SharedChunksPlugin: '${spec.name}' is not an existing ` +
+                        `entry chunk, it can't be used with useExistingChunk`
+                )
+            );
+            return null;
+        }
+
+        return chunk;
+    }
+
+    // Return module and chunk dependencies for the given commonModules.
+    // Module dependencies are determined recursively.  Whenever a module
+    // appearing in globalModulesSet is encountered, recursion is terminated
+    // and any chunks that the module appears in are return as chunk
+    // dependencies.
+    //
+    // Also returns the module which first imported each module dependency
+    // and, for each chunk dependency, the first module and dependency that
+    // caused it, which are reported by the 'explain' option.
+    getDependencies(commonModules, globalModulesSet, sharedChunksSet, graph) {
+        const moduleDeps = new Set();
+        const chunkDeps = new Set();
+        const importers = new Map();
+        const chunkDepCauses = new Map();
+
+        const walkDeps = module => {
+            for (const dep of module.dependencies) {
+                // Weak dependencies, e.g. require.resolveWeak(), don't cause
+                // the module to be included so they aren't moved either.
+                if (dep.module && !dep.weak) {
+                    // Ignore dependencies that appear in either an existing
+                    // shared chunk or are in commonModules.  In either case
+                    // the module will have been added to globalModulesSet so
+                    // we check that.
+                    if (!globalModulesSet.has(dep.module)) {
+                        // Avoid unnecessary recursion.
+                        if (!moduleDeps.has(dep.module)) {
+                            moduleDeps.add(dep.module);
+                            importers.set(dep.module, module);
+                            walkDeps(dep.module);
+                        }
+                    } else {
+                        for (const chunk of graph.getChunks(dep.module)) {
+                            if (sharedChunksSet.has(chunk)) {
+                                chunkDeps.add(chunk);
+                                if (!chunkDepCauses.has(chunk)) {
+                                    chunkDepCauses.set(chunk, {
+                                        module,
+                                        dependency: dep.module,
+                                    });
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+
+        for (const module of commonModules) {
+            walkDeps(module);
+        }
 
         return {
             moduleDeps,
             chunkDeps,
+            importers,
+            chunkDepCauses,
         };
     }
+
+    // Return all shared chunks in the order in which they should be loaded.
+    //
+    // Shared chunks are sorted topologically using their 'parents' so that
+    // every shared chunk appears after all of the shared chunks it depends on,
+    // directly or indirectly.  Ties are broken using the order in which the
+    // shared chunks were created, i.e. the order in which the specs were
+    // applied, so the result is deterministic.
+    //
+    // The shared chunks can't depend on each other in a cycle.  A shared chunk
+    // only depends on the shared chunks that were created before it, and on
+    // the runtime chunk, which doesn't depend on anything.  Shared chunks are
+    // never selected by later specs, so they don't come to depend on shared
+    // chunks created after them either.
+    getLoadOrder(sharedChunksSet, parentsMap) {
+        const loadOrder = [];
+        const loaded = new Set();
+        const remaining = [...sharedChunksSet];
+
+        const isReady = chunk =>
+            (parentsMap.get(chunk) || []).every(
+                parent => loaded.has(parent) || !sharedChunksSet.has(parent)
+            );
+
+        while (remaining.length > 0) {
+            const [chunk] = remaining.splice(remaining.findIndex(isReady), 1);
+            loaded.add(chunk);
+            loadOrder.push(chunk);
+        }
+
+        return loadOrder;
+    }
+
+    // Sort chunks, e.g. the parents of a chunk or the chunks in a chunk group,
+    // so that shared chunks come first, in load order, followed by any other
+    // chunks in their original order.
+    sortChunks(chunks, loadOrder) {
+        const chunksSet = new Set(chunks);
+        const loadOrderSet = new Set(loadOrder);
+        const sharedChunks = loadOrder.filter(chunk => chunksSet.has(chunk));
+        const otherChunks = chunks.filter(chunk => !loadOrderSet.has(chunk));
+
+        return [...sharedChunks, ...otherChunks];
+    }
+
+    // Return all of the shared chunks that must be loaded before the given
+    // chunk, in load order.  Shared chunks which are only indirect
+    // dependencies (parents of parents) are included.
+    getSharedParents(chunk, sharedChunksSet, parentsMap, loadOrder) {
+        const visited = new Set();
+
+        const visit = chunk => {
+            for (const parent of parentsMap.get(chunk) || []) {
+                if (sharedChunksSet.has(parent) && !visited.has(parent)) {
+                    visited.add(parent);
+                    visit(parent);
+                }
+            }
+        };
+
+        visit(chunk);
+
+        return loadOrder.filter(chunk => visited.has(chunk));
+    }
+
+    // Return a map between the names of entries and the files they need: the
+    // files of the shared chunks they depend on, in the order they need to be
+    // loaded, and the files of the other chunks in the entrypoint.
+    getEntryFiles(compilation, sharedChunksSet, parentsMap, loadOrder) {
+        const getFiles = chunks =>
+            chunks.reduce((files, chunk) => [...files, ...chunk.files], []);
+
+        const entryFiles = {};
+        for (const [name, entrypoint] of getEntrypoints(compilation)) {
+            const sharedChunks = new Set();
+            for (const chunk of entrypoint.chunks) {
+                if (sharedChunksSet.has(chunk)) {
+                    sharedChunks.add(chunk);
+                }
+                for (const parent of this.getSharedParents(
+                    chunk,
+                    sharedChunksSet,
+                    parentsMap,
+                    loadOrder
+                )) {
+                    sharedChunks.add(parent);
+                }
+            }
+            entryFiles[name] = {
+                sharedFiles: getFiles(
+                    loadOrder.filter(chunk => sharedChunks.has(chunk))
+                ),
+                files: getFiles(
+                    entrypoint.chunks.filter(
+                        chunk => !sharedChunksSet.has(chunk)
+                    )
+                ),
+            };
+        }
+
+        return entryFiles;
+    }
+
+    // Create the contents of the manifest asset.  Entry chunks are keyed by
+    // name and async chunks by their label, see getChunkLabels().  Each
+    // maps to the files of the shared chunks that need to be loaded first.
+    // An inlined runtime, {chunk, source}, replaces its chunk with 'runtime'.
+    createManifest(
+        compilation,
+        allChunks,
+        sharedChunksSet,
+        parentsMap,
+        loadOrder,
+        runtime
+    ) {
+        const getFiles = chunks =>
+            chunks.reduce((files, chunk) => [...files, ...chunk.files], []);
+
+        const requestShortener = getRequestShortener(compilation);
+        const labels = getChunkLabels(compilation, allChunks, sharedChunksSet);
+
+        const manifest = {
+            entries: {},
+            asyncChunks: {},
+            sharedChunks: {},
+        };
+
+        const isInlined = chunk => Boolean(runtime) && chunk === runtime.chunk;
+        if (runtime) {
+            manifest.runtime = runtime.source;
+        }
+
+        for (const chunk of allChunks) {
+            if (isInlined(chunk)) {
+                continue;
+            }
+            const sharedParents = this.getSharedParents(
+                chunk,
+                sharedChunksSet,
+                parentsMap,
+                loadOrder
+            ).filter(parent => !isInlined(parent));
+
+            if (sharedChunksSet.has(chunk)) {
+                const modules = getChunkModules(chunk);
+                manifest.sharedChunks[chunk.name] = {
+                    files: chunk.files,
+                    parents: sharedParents.map(parent => parent.name),
+                    modules: modules
+                        .map(module =>
+                            module.readableIdentifier(requestShortener)
+                        )
+                        .sort(),
+                    size: getModulesSize(modules),
+                };
+            } else if (isInitialChunk(compilation, chunk)) {
+                manifest.entries[chunk.name] = getFiles(sharedParents);
+            } else {
+                manifest.asyncChunks[labels.get(chunk)] = getFiles(
+                    sharedParents
+                );
+            }
+        }
+
+        return manifest;
+    }
 }
 
+// Helpers for rendering the <script> tags of an entry and a companion plugin
+// which adds them to html-webpack-plugin's pages, see tags.js.
+SharedChunkPlugin.getEntryAssets = getEntryAssets;
+SharedChunkPlugin.renderTags = renderTags;
+SharedChunkPlugin.HtmlTagsPlugin = HtmlTagsPlugin;
+
 module.exports = SharedChunkPlugin;
@@ -0,0 +1,116 @@
+// Keep modules in the same shared chunks from one build to the next, for the
+// 'lockFile' option.
+//
+// The lock file maps the readable identifier of every module, e.g.
+// './src/foo.js', to the name of the shared chunk it was in or null:
+//
+//   {
+//     "modules": {
+//       "./src/foo.js": "vendor",
+//       "./src/bar.js": null
+//     }
+//   }
+//
+// It's read from and written to the compiler's file systems like webpack's
+// records, so it works with memory-fs.
+const path = require('path');
+
+// Read the lock file, passing null to the callback if it doesn't exist yet.
+// webpack's node output file system can't read files so the lock file is only
+// read back from the output file system when it can, e.g. memory-fs.
+const readLockFile = (compiler, filename, callback) => {
+    const fileSystem = compiler.outputFileSystem.readFile
+        ? compiler.outputFileSystem
+        : compiler.inputFileSystem;
+
+    fileSystem.readFile(filename, (err, contents) => {
+        if (err) {
+            return callback(err.code === 'ENOENT' ? null : err, null);
+        }
+        let lock;
+        try {
+            lock = JSON.parse(contents.toString());
+        } catch (e) {
+            return callback(
+                new Error(
+                    `SharedChunksPlugin: can't parse the lock file ` +
+                        `'${filename}': ${e.message}`
+                )
+            );
+        }
+        if (!lock || typeof lock.modules !== 'object' || !lock.modules) {
+            return callback(
+                new Error(
+                    `SharedChunksPlugin: the lock file '${filename}' doesn't ` +
+                        `contain any modules`
+                )
+            );
+        }
+        callback(null, lock);
+    });
+};
+
+const writeLockFile = (compiler, filename, lock, callback) => {
+    const fileSystem = compiler.outputFileSystem;
+    fileSystem.mkdirp(path.dirname(filename), err => {
+        if (err) {
+            return callback(err);
+        }
+        fileSystem.writeFile(
+            filename,
+            `${JSON.stringify(lock, null, 2)}\n`,
+            callback
+        );
+    });
+};
+
+// Whether a shared chunk with the given name was created by the spec, either
+// as the shared chunk itself or as one of the parts it was split into.
+const isSpecChunkName = (spec, chunkName) =>
+    chunkName === spec.name ||
+    (chunkName.startsWith(`${spec.name}~`) &&
+        /^\d+$/.test(chunkName.slice(spec.name.length + 1)));
+
+// Create the contents of the lock file from a map between modules and the
+// names of the shared chunks they're in, or null.  Modules are sorted by
+// identifier so that the lock file only changes when assignments do.
+const createLock = (assignments, requestShortener) => {
+    const entries = [...assignments].map(([module, chunkName]) => [
+        module.readableIdentifier(requestShortener),
+        chunkName,
+    ]);
+    entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+    const modules = {};
+    for (const [identifier, chunkName] of entries) {
+        modules[identifier] = chunkName;
+    }
+    return { modules };
+};
+
+// Return a warning which lists the modules that are in a different shared
+// chunk than the one in the lock file, and why.  Each reassignment is an
+// object with the module's identifier, the names of the chunks it was and is
+// in (or null) and a reason.
+const createReassignmentWarning = reassignments => {
+    const lines = reassignments.map(
+        ({ module, from, to, reason }) =>
+            `  ${module}: ${from || '(none)'} -> ${to || '(none)'}, ${reason}`
+    );
+    const count =
+        reassignments.length === 1
+            ? '1 module was'
+            : `${reassignments.length} modules were`;
+    return new Error(
+        `SharedChunksPlugin: ${count} reassigned since the lock file was ` +
+            `written:\n${lines.join('\n')}`
+    );
+};
+
+module.exports = {
+    readLockFile,
+    writeLockFile,
+    isSpecChunkName,
+    createLock,
+    createReassignmentWarning,
+};
@@ -0,0 +1,284 @@
+// Turn the files that an entry needs into <script> and <link rel="preload">
+// tags, in the order in which they need to be loaded.
+//
+// SharedChunkPlugin records the files of each entry when the chunk assets are
+// created.  The helpers below can be called any time after that with the same
+// compilation, e.g. from an html-webpack-plugin template, which has access to
+// the compilation:
+//
+//   <%= SharedChunkPlugin.renderTags(
+//       SharedChunkPlugin.getEntryAssets(compilation, 'foo', {integrity: true})
+//   ) %>
+//
+// HtmlTagsPlugin does the same for the tags that html-webpack-plugin injects.
+const crypto = require('crypto');
+
+// A map between compilations and the files of their entries.  Each entry maps
+// to the files of the shared chunks it depends on (in load order) and its own
+// files.
+const entryFilesMap = new WeakMap();
+
+const setEntryFiles = (compilation, entryFiles) => {
+    entryFilesMap.set(compilation, entryFiles);
+};
+
+// Only JavaScript files get tags, not source maps or other assets.
+const isScript = file => /\.m?js($|\?)/.test(file);
+
+const escapeAttribute = value =>
+    String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+
+// Return the subresource integrity hash of an emitted asset.
+const getIntegrity = (compilation, file, algorithm) => {
+    const asset = compilation.assets[file.replace(/\?.*$/, '')];
+    if (!asset) {
+        throw new Error(
+            `SharedChunksPlugin: can't compute the integrity of '${file}', ` +
+                `it isn't an asset of the compilation`
+        );
+    }
+    const hash = crypto
+        .createHash(algorithm)
+        .update(asset.source())
+        .digest('base64');
+    return `${algorithm}-${hash}`;
+};
+
+// Return the scripts that need to be loaded for an entry, in order.  Each is
+// an object with:
+// - url: the publicPath followed by the filename
+// - preload: true for the files of shared chunks
+// - integrity (if the 'integrity' option is set): the SRI hash
+// - crossorigin, async, defer: copied from the options
+//
+// Options:
+// - publicPath (optional): defaults to output.publicPath
+// - integrity (optional): true (which uses 'sha384') or the name of the hash
+//                         algorithm, e.g. 'sha256'
+// - crossorigin (optional): e.g. 'anonymous'
+// - async/defer (optional): booleans.  Scripts loaded with 'async' run as
+//                           soon as they're loaded so they can run out of
+//                           order, 'defer' keeps the order.
+const getEntryAssets = (compilation, entryName, options = {}) => {
+    const entryFiles = entryFilesMap.get(compilation);
+    if (!entryFiles) {
+        throw new Error(
+            `SharedChunksPlugin: the assets of this compilation haven't been ` +
+                `created yet`
+        );
+    }
+    if (!entryFiles.hasOwnProperty(entryName)) {
+        throw new Error(`SharedChunksPlugin: '${entryName}' is not an entry`);
+    }
+
+    const publicPath =
+        options.publicPath !== undefined
+            ? options.publicPath
+            : compilation.outputOptions.publicPath || '';
+    const algorithm =
+        options.integrity === true ? 'sha384' : options.integrity || null;
+
+    const { sharedFiles, files } = entryFiles[entryName];
+    const toAsset = preload => file => {
+        const asset = { url: `${publicPath}${file}`, preload };
+        if (algorithm) {
+            asset.integrity = getIntegrity(compilation, file, algorithm);
+        }
+        if (options.crossorigin) {
+            asset.crossorigin = options.crossorigin;
+        }
+        if (options.async) {
+            asset.async = true;
+        }
+        if (options.defer) {
+            asset.defer = true;
+        }
+        return asset;
+    };
+
+    return [
+        ...sharedFiles.filter(isScript).map(toAsset(true)),
+        ...files.filter(isScript).map(toAsset(false)),
+    ];
+};
+
+const renderAttributes = (asset, attributes) =>
+    attributes
+        .filter(name => asset[name])
+        .map(
+            name =>
+                asset[name] === true
+                    ? ` ${name}`
+                    : ` ${name}="${escapeAttribute(asset[name])}"`
+        )
+        .join('');
+
+// Return <link rel="preload"> tags for the shared chunks followed by <script>
+// tags for all of the assets returned by getEntryAssets().
+const renderTags = assets => {
+    const preloads = assets
+        .filter(asset => asset.preload)
+        .map(
+            asset =>
+                `<link rel="preload" as="script" ` +
+                `href="${escapeAttribute(asset.url)}"` +
+                `${renderAttributes(asset, ['integrity', 'crossorigin'])}>`
+        );
+    const scripts = assets.map(
+        asset =>
+            `<script src="${escapeAttribute(asset.url)}"` +
+            `${renderAttributes(asset, [
+                'integrity',
+                'crossorigin',
+                'async',
+                'defer',
+            ])}></script>`
+    );
+    return [...preloads, ...scripts].join('\n');
+};
+
+// Turn an asset into the tag objects that html-webpack-plugin 3 renders.
+// Attributes which are true are rendered without a value.
+const toHtmlTag = (asset, tagName, attributes, names) => {
+    for (const name of names.filter(name => asset[name])) {
+        attributes[name] = asset[name];
+    }
+    return tagName === 'script'
+        ? { tagName, closeTag: true, attributes }
+        : { tagName, selfClosingTag: false, voidTag: true, attributes };
+};
+
+// The src of a script tag without the query string that html-webpack-plugin's
+// 'hash' option adds.
+const getScriptUrl = tag =>
+    tag.tagName === 'script' && tag.attributes && tag.attributes.src
+        ? tag.attributes.src.replace(/\?.*$/, '')
+        : null;
+
+// An html-webpack-plugin companion that replaces the <script> tags of the
+// entries on each page with the ones getEntryAssets() returns, in load
+// order and with the same attributes, and adds <link rel="preload"> tags for
+// their shared chunks to the head.  It taps the
+// 'html-webpack-plugin-alter-asset-tags' hook, which only html-webpack-plugin
+// 3 has.  The hook is created for each compilation, so with webpack 4
+// html-webpack-plugin has to come first in the plugins.
+//
+// Options: the same as getEntryAssets().
+class HtmlTagsPlugin {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    apply(compiler) {
+        const onAlterAssetTags = (compilation, data) => {
+            const entryFiles = entryFilesMap.get(compilation);
+            if (!entryFiles) {
+                return data;
+            }
+
+            // The chunks of the page are the ones html-webpack-plugin's
+            // 'chunks' and 'excludeChunks' options select.
+            const entryNames = [];
+            for (const chunk of data.chunks) {
+                for (const name of chunk.names) {
+                    if (entryFiles.hasOwnProperty(name)) {
+                        entryNames.push(name);
+                    }
+                }
+            }
+
+            // Entries can share chunks, each is only loaded once.
+            const assetsMap = new Map();
+            for (const name of entryNames) {
+                for (const asset of getEntryAssets(
+                    compilation,
+                    name,
+                    this.options
+                )) {
+                    if (!assetsMap.has(asset.url)) {
+                        assetsMap.set(asset.url, asset);
+                    }
+                }
+            }
+            if (assetsMap.size === 0) {
+                return data;
+            }
+            const assets = [...assetsMap.values()];
+
+            // The scripts go where html-webpack-plugin put the first of them,
+            // which depends on its 'inject' option.
+            const isReplaced = tag => assetsMap.has(getScriptUrl(tag));
+            const tags = data.head.some(isReplaced) ? data.head : data.body;
+            const index = Math.max(tags.findIndex(isReplaced), 0);
+            const scripts = assets.map(asset =>
+                toHtmlTag(
+                    asset,
+                    'script',
+                    { type: 'text/javascript', src: asset.url },
+                    ['integrity', 'crossorigin', 'async', 'defer']
+                )
+            );
+            const preloads = assets
+                .filter(asset => asset.preload)
+                .map(asset =>
+                    toHtmlTag(
+                        asset,
+                        'link',
+                        { rel: 'preload', as: 'script', href: asset.url },
+                        ['integrity', 'crossorigin']
+                    )
+                );
+
+            const head = data.head.filter(tag => !isReplaced(tag));
+            const body = data.body.filter(tag => !isReplaced(tag));
+            if (tags === data.head) {
+                head.splice(index, 0, ...scripts);
+            } else {
+                body.splice(index, 0, ...scripts);
+            }
+            head.push(...preloads);
+
+            return Object.assign({}, data, { head, body });
+        };
+
+        // Child compilations get the hook too, but the entry files of their
+        // compilations aren't recorded so they're left alone.
+        if (compiler.hooks) {
+            compiler.hooks.compilation.tap('SharedChunkPlugin', compilation => {
+                const hook = compilation.hooks.htmlWebpackPluginAlterAssetTags;
+                if (!hook) {
+                    throw new Error(
+                        `SharedChunksPlugin: HtmlTagsPlugin only supports ` +
+                            `html-webpack-plugin 3, which has to come before ` +
+                            `it in the plugins.  Later versions don't have ` +
+                            `the 'html-webpack-plugin-alter-asset-tags' hook`
+                    );
+                }
+                hook.tap('SharedChunkPlugin', data =>
+                    onAlterAssetTags(compilation, data)
+                );
+            });
+        } else {
+            compiler.plugin('compilation', compilation => {
+                compilation.plugin(
+                    'html-webpack-plugin-alter-asset-tags',
+                    (data, callback) => {
+                        let result;
+                        try {
+                            result = onAlterAssetTags(compilation, data);
+                        } catch (err) {
+                            return callback(err);
+                        }
+                        callback(null, result);
+                    }
+                );
+            });
+        }
+    }
+}
+
+module.exports = { setEntryFiles, getEntryAssets, renderTags, HtmlTagsPlugin };
@@ -0,0 +1,144 @@
+/* global expect */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryFileSystem = require('memory-fs');
+
+const SharedChunksPlugin = require('../index.js');
+const generateFixtures = require('./generate-fixtures.js');
+
+const webpackVersions = {
+    3: require('webpack'),
+    4: require('webpack4'),
+};
+
+// Remove a directory created by generateFixtures().
+function removeFixtures(dir) {
+    for (const name of fs.readdirSync(dir)) {
+        const subdir = path.join(dir, name);
+        for (const file of fs.readdirSync(subdir)) {
+            fs.unlinkSync(path.join(subdir, file));
+        }
+        fs.rmdirSync(subdir);
+    }
+    fs.rmdirSync(dir);
+}
+
+// Count the calls to the plugin's module graph, e.g. graph.getChunks() and
+// graph.containsModule(), while it creates the shared chunks.  The plugin used
+// to check every chunk for every shared module, which made builds with
+// hundreds of entries slow.
+function countGraphOperations(plugin) {
+    const counter = {count: 0};
+    const wrappedGraphs = new WeakSet();
+    let depth = 0;
+
+    const wrapGraph = (graph) => {
+        if (wrappedGraphs.has(graph)) {
+            return;
+        }
+        wrappedGraphs.add(graph);
+        for (const [name, method] of Object.entries(graph)) {
+            graph[name] = (...args) => {
+                if (depth > 0) {
+                    counter.count += 1;
+                }
+                return method(...args);
+            };
+        }
+    };
+
+    // Both methods take the graph as their sixth argument.
+    for (const method of ['createSharedChunk', 'getAutoSpecs']) {
+        const original = plugin[method];
+        plugin[method] = function(...args) {
+            wrapGraph(args[5]);
+            depth += 1;
+            try {
+                return original.apply(this, args);
+            } finally {
+                depth -= 1;
+            }
+        };
+    }
+
+    return counter;
+}
+
+for (const [version, webpack] of Object.entries(webpackVersions)) {
+    // Compile the generated entries and return the stats along with the
+    // number of graph operations made while creating the shared chunks.
+    function build(entryPoints) {
+        const plugin = new SharedChunksPlugin({
+            specs: [
+                {name: 'vendor', test: /vendor/, minChunks: 2},
+                {name: 'components', test: /components/, minChunks: 5},
+            ],
+            auto: {minSize: 0},
+            maxInitialRequests: 8,
+        });
+        const counter = countGraphOperations(plugin);
+
+        const compiler = webpack(Object.assign({
+            bail: true,
+            cache: false,
+            entry: entryPoints,
+            output: {
+                path: `${__dirname}/dist`,
+                filename: '[name].js',
+            },
+            plugins: [plugin],
+        }, version >= 4 ? {
+            mode: 'none',
+            optimization: {
+                splitChunks: false,
+            },
+        } : {}));
+        compiler.outputFileSystem = new MemoryFileSystem();
+
+        return new Promise((resolve, reject) => {
+            compiler.run((err, stats) => {
+                if (err) {
+                    return reject(err);
+                }
+                resolve({stats, count: counter.count});
+            });
+        });
+    }
+
+    // Generate a build with 'entries' entries and as many modules in each
+    // directory, so that the number of shared modules grows with the number
+    // of entries, and build it.
+    function buildFixtures(entries) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shared-chunks-'));
+        const entryPoints = generateFixtures(dir, {entries, modules: entries});
+
+        return build(entryPoints).then((result) => {
+            removeFixtures(dir);
+            return result;
+        }, (err) => {
+            removeFixtures(dir);
+            throw err;
+        });
+    }
+
+    describe(`shared-chunk-plugin benchmark with webpack ${version}`, () => {
+        it('should scale linearly with the number of entries', () => {
+            return buildFixtures(300).then((small) => {
+                return buildFixtures(900).then((large) => {
+                    for (const {stats} of [small, large]) {
+                        const chunkNames = stats.compilation.chunks.map(chunk => chunk.name);
+                        expect(chunkNames).toContain('vendor');
+                        expect(chunkNames).toContain('components');
+                        expect(stats.compilation.errors).toEqual([]);
+                    }
+
+                    // Three times the entries and modules should take about
+                    // three times the operations.  Checking every chunk for
+                    // every shared module takes over five times as many.
+                    expect(large.count).toBeLessThanOrEqual(4 * small.count);
+                });
+            });
+        }, 120000);
+    });
+}
@@ -0,0 +1,170 @@
+/* global expect */
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryFileSystem = require('memory-fs');
+const webpack = require('webpack');
+
+const SharedChunksPlugin = require('../index.js');
+const {diffLayouts, formatDiff} = require('../diff.js');
+
+// Compile foo.js and bar.js with the given components spec and return both
+// the manifest and the output of stats.toJson().
+function build(componentsSpec) {
+    const compiler = webpack({
+        bail: true,
+        cache: false,
+        entry: {
+            foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+            bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+        },
+        output: {
+            path: `${__dirname}/dist`,
+            filename: '[name].js',
+        },
+        plugins: [
+            new SharedChunksPlugin({
+                specs: [
+                    {name: 'vendor', test: /vendor/},
+                    Object.assign({name: 'components'}, componentsSpec),
+                ],
+                manifest: true,
+                verbose: true,
+            }),
+        ],
+    });
+    compiler.outputFileSystem = new MemoryFileSystem();
+
+    return new Promise((resolve, reject) => {
+        compiler.run((err, stats) => {
+            if (err) {
+                return reject(err);
+            }
+            const {assets} = stats.compilation;
+            resolve({
+                manifest: JSON.parse(
+                    assets['shared-chunks-manifest.json'].source()),
+                stats: stats.toJson(),
+            });
+        });
+    });
+}
+
+function getSize(file) {
+    return fs.statSync(path.resolve(__dirname, 'fixtures', file)).size;
+}
+
+describe('shared-chunks-diff', () => {
+    const builds = Promise.all([
+        build({test: /components/}),
+        build({test: /comp1/}),
+    ]);
+
+    it('should report moved modules, changed entries and size deltas', () => {
+        return builds.then(([before, after]) => {
+            const diff = diffLayouts(before.manifest, after.manifest);
+
+            expect(diff.movedModules).toEqual([
+                {
+                    module: './test/fixtures/components/comp2.js',
+                    from: 'components',
+                    to: null,
+                },
+            ]);
+            expect(diff.entries).toEqual({});
+            expect(diff.chunks).toEqual({
+                components: {
+                    before: after.manifest.sharedChunks.components.size +
+                        getSize('components/comp2.js'),
+                    after: after.manifest.sharedChunks.components.size,
+                    delta: -getSize('components/comp2.js'),
+                },
+                vendor: {
+                    before: before.manifest.sharedChunks.vendor.size,
+                    after: before.manifest.sharedChunks.vendor.size,
+                    delta: 0,
+                },
+            });
+        });
+    });
+
+    it('should read the output of stats.toJson()', () => {
+        return builds.then(([before, after]) => {
+            expect(diffLayouts(before.stats, after.stats)).toEqual(
+                diffLayouts(before.manifest, after.manifest));
+        });
+    });
+
+    it('should read concatenated modules from the output of stats.toJson()', () => {
+        return builds.then(([before]) => {
+            // webpack 4 lists the modules a concatenated module is made of.
+            const concatenated = JSON.parse(JSON.stringify(before.stats));
+            const components = concatenated.chunks.find(
+                chunk => chunk.names.includes('components'));
+            components.modules = [{
+                name: `${components.modules[0].name} + ${components.modules.length - 1} modules`,
+                size: components.modules.reduce((size, module) => size + module.size, 0),
+                modules: components.modules,
+            }];
+
+            expect(diffLayouts(before.stats, concatenated)).toEqual(
+                diffLayouts(before.stats, before.stats));
+        });
+    });
+
+    it('should report entries which gained or lost shared chunks', () => {
+        return Promise.all([builds, build({test: /nothing/})])
+            .then(([[before], empty]) => {
+                const diff = diffLayouts(before.manifest, empty.manifest);
+
+                expect(diff.entries).toEqual({
+                    bar: {added: [], removed: ['components']},
+                    foo: {added: [], removed: ['components']},
+                });
+                expect(diff.chunks.components.after).toBeNull();
+
+                expect(formatDiff(diff)).toEqual([
+                    'Moved modules:',
+                    '  ./test/fixtures/components/comp1.js: components -> (entries)',
+                    '  ./test/fixtures/components/comp2.js: components -> (entries)',
+                    '  ./test/fixtures/util/util.js: components -> (entries)',
+                    '',
+                    'Entries:',
+                    '  bar: -components',
+                    '  foo: -components',
+                    '',
+                    'Shared chunks (size of their modules):',
+                    `  components: removed, was ${diff.chunks.components.before} bytes ` +
+                        `(${diff.chunks.components.delta})`,
+                    `  vendor: ${diff.chunks.vendor.before} -> ` +
+                        `${diff.chunks.vendor.after} bytes (0)`,
+                ].join('\n'));
+            });
+    });
+
+    it('should print the diff as JSON from the command line', () => {
+        return builds.then(([before, after]) => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shared-chunks-'));
+            const beforeFile = path.join(dir, 'before.json');
+            const afterFile = path.join(dir, 'after.json');
+            fs.writeFileSync(beforeFile, JSON.stringify(before.manifest));
+            fs.writeFileSync(afterFile, JSON.stringify(after.stats));
+
+            const result = childProcess.spawnSync(process.execPath, [
+                path.resolve(__dirname, '../bin/shared-chunks-diff.js'),
+                '--json',
+                beforeFile,
+                afterFile,
+            ], {encoding: 'utf8'});
+
+            fs.unlinkSync(beforeFile);
+            fs.unlinkSync(afterFile);
+            fs.rmdirSync(dir);
+
+            expect(result.status).toEqual(0);
+            expect(JSON.parse(result.stdout)).toEqual(
+                diffLayouts(before.manifest, after.manifest));
+        });
+    });
+});
@@ -0,0 +1,9 @@
+module.exports = {
+    init() {
+        this.value = 'initial value';
+        import('./async-other').then(asyncOther => this.value = asyncOther);
+    },
+    render() {
+        return `this.value = ${this.value}`;
+    },
+};
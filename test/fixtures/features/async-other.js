@@ -0,0 +1,3 @@
+const asyncDep = require('./async-dep');
+
+module.exports = `${asyncDep}Other`;
@@ -0,0 +1,7 @@
+const comp2 = require('../components/comp2');
+
+module.exports = {
+    render() {
+        return `summary: ${comp2.render()}`;
+    }
+};
@@ -0,0 +1,3 @@
+const widget = require('./widget');
+
+module.exports = `editor ${widget}`;
@@ -0,0 +1,4 @@
+const loadA = require('./a/loader');
+const loadB = require('./b/loader');
+
+module.exports = () => Promise.all([loadA(), loadB()]);
@@ -0,0 +1,4 @@
+module.exports = {
+    openEditor: () => import(/* webpackChunkName: "editor" */ './editor'),
+    showChart: () => import('./chart'),
+};
@@ -0,0 +1,5 @@
+const leftPad = require('left-pad');
+const upper = require('@khan/strings');
+const add = require('@khan/math');
+
+module.exports = leftPad(upper(`app1: ${add(1, 2)}`), 20);
@@ -0,0 +1,5 @@
+const leftPad = require('left-pad');
+const upper = require('@khan/strings');
+const add = require('@khan/math');
+
+module.exports = leftPad(upper(`app2: ${add(3, 4)}`), 20);
@@ -0,0 +1,7 @@
+const summary = require('../features/summary');
+
+module.exports = {
+    render(content) {
+        return `${summary.render()}\n${content}`;
+    }
+};
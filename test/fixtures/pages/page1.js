@@ -0,0 +1,7 @@
+const layout = require('./layout');
+
+module.exports = {
+    render() {
+        return layout.render('page1');
+    }
+};
@@ -0,0 +1,3 @@
+const lib = require('./lib');
+
+module.exports = `page1: ${lib}`;
@@ -0,0 +1 @@
+log(`a ${require('./lib')}`);
@@ -0,0 +1 @@
+log(`b ${require('./lib')}`);
@@ -0,0 +1 @@
+exports.value = `first ${require('./shared')}`;
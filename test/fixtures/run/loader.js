@@ -0,0 +1,3 @@
+Promise.all([import('./first'), import('./second')]).then(([first, second]) => {
+    log(`${first.value}, ${second.value}`);
+});
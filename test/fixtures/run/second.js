@@ -0,0 +1 @@
+exports.value = `second ${require('./shared')}`;
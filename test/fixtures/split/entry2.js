@@ -0,0 +1,7 @@
+require('./a/a0');
+require('./a/a1');
+require('./a/a2');
+require('./b/b1');
+require('./b/b2');
+require('./c/c1');
+require('./c/c2');
@@ -0,0 +1,3 @@
+const locales = require.context('./locales', false, /\.js$/);
+
+module.exports = locales.keys().map((key) => `context2: ${locales(key).hello}`);
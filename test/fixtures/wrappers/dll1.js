@@ -0,0 +1,3 @@
+const leftPad = require('left-pad');
+
+module.exports = leftPad('dll1', 10);
@@ -0,0 +1,3 @@
+import {formatName} from './lib/format';
+
+export default formatName('esm2');
@@ -0,0 +1,3 @@
+import {pad} from './pad';
+
+export const formatName = (name) => pad(name.toUpperCase(), 10);
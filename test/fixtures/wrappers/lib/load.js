@@ -0,0 +1,5 @@
+// unused.js is only used if some other module includes it in the build.
+module.exports = (name) => {
+    const id = require.resolveWeak('./unused');
+    return __webpack_modules__[id] ? __webpack_require__(id)(name) : name;
+};
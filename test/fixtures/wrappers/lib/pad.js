@@ -0,0 +1 @@
+export const pad = (str, len) => ' '.repeat(Math.max(len - str.length, 0)) + str;
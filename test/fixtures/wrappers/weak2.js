@@ -0,0 +1,3 @@
+const load = require('./lib/load');
+
+module.exports = load('weak2');
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+// A small deterministic pseudo random number generator so that the generated
+// fixtures are the same every time.
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+// Write a synthetic build with many entries to 'dir' for benchmarking the
+// plugin and return its entry points.  There are 'modules' modules in each of
+// the vendor/, components/ and util/ directories, and each entry requires
+// 'modulesPerEntry' vendor and components modules picked at random.  Each
+// components module requires a vendor module and a util module so that the
+// shared chunks depend on each other.
+function generateFixtures(dir, options = {}) {
+    const {entries = 300, modules = 100, modulesPerEntry = 20} = options;
+    const random = createRandom(entries * modules * modulesPerEntry);
+    const pick = count => Math.floor(random() * count);
+
+    for (const name of ['vendor', 'components', 'util', 'entries']) {
+        fs.mkdirSync(path.join(dir, name));
+    }
+
+    for (let i = 0; i < modules; i++) {
+        fs.writeFileSync(
+            path.join(dir, 'vendor', `vendor${i}.js`),
+            `module.exports = 'vendor${i}';\n`);
+        fs.writeFileSync(
+            path.join(dir, 'util', `util${i}.js`),
+            `module.exports = (value) => \`util${i}: \${value}\`;\n`);
+        fs.writeFileSync(
+            path.join(dir, 'components', `component${i}.js`),
+            `const vendor = require('../vendor/vendor${pick(modules)}');\n` +
+            `const util = require('../util/util${pick(modules)}');\n\n` +
+            `module.exports = util(vendor);\n`);
+    }
+
+    const entryPoints = {};
+    for (let i = 0; i < entries; i++) {
+        const requires = [];
+        for (let j = 0; j < modulesPerEntry; j++) {
+            const dirName = random() < 0.5 ? 'vendor' : 'components';
+            const prefix = dirName === 'vendor' ? 'vendor' : 'component';
+            requires.push(`require('../${dirName}/${prefix}${pick(modules)}');`);
+        }
+        const file = path.join(dir, 'entries', `entry${i}.js`);
+        fs.writeFileSync(file, `${requires.join('\n')}\n`);
+        entryPoints[`entry${i}`] = file;
+    }
+
+    return entryPoints;
+}
+
+module.exports = generateFixtures;
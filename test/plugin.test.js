@@ -1,10 +1,17 @@
 /* global expect */
+const fs = require('fs');
 const path = require('path');
-const webpack = require('webpack');
+const vm = require('vm');
 const MemoryFileSystem = require('memory-fs');
 
 const SharedChunksPlugin = require('../index.js');
 
+// The tests are run against every major version of webpack we support.
+const webpackVersions = {
+    3: require('webpack'),
+    4: require('webpack4'),
+};
+
 function compile(compiler) {
     return new Promise((resolve, reject) => {
         compiler.run((err, stats) => {
@@ -16,278 +23,2450 @@ function compile(compiler) {
     });
 }
 
-function createCompiler(entryPoints) {
-    return webpack({
-        bail: true,
-        cache: false,
-        entry: entryPoints,
-        output: {
-            path: `${__dirname}/dist`,
-            filename: '[name].js',
-            chunkFilename: '[name].js',
+// Return a map between chunk names (or ids for unnamed chunks) and the paths
+// of the modules they contain.  Chunks without modules are left out.
+function getChunkModules(chunks) {
+    const chunkToModulesMap = {};
+
+    for (const chunk of chunks) {
+        for (const module of chunk.modulesIterable) {
+            const chunkName = chunk.name || chunk.id;
+            if (!chunkToModulesMap.hasOwnProperty(chunkName)) {
+                chunkToModulesMap[chunkName] = new Set();
+            }
+            chunkToModulesMap[chunkName].add(
+                path.relative(path.resolve(__dirname, '..'), module.resource));
+        }
+    }
+
+    return chunkToModulesMap;
+}
+
+// Return the total size in bytes of the given files in test/fixtures.
+function getFixturesSize(...files) {
+    return files
+        .map(file => fs.statSync(path.resolve(__dirname, 'fixtures', file)).size)
+        .reduce((a, b) => a + b, 0);
+}
+
+// Return a map between chunk names (or ids for unnamed chunks) and the names
+// of the chunks that need to be loaded before them.
+function getChunkDependencies(chunks) {
+    const chunkDependencies = {};
+
+    for (const chunk of chunks) {
+        const chunkName = chunk.name || chunk.id;
+        if (chunk.groupsIterable) {
+            // webpack 4 doesn't have chunk parents, instead the chunks that
+            // need to be loaded first come before the chunk in its groups.
+            const deps = new Set();
+            for (const chunkGroup of chunk.groupsIterable) {
+                const index = chunkGroup.chunks.indexOf(chunk);
+                for (const dep of chunkGroup.chunks.slice(0, index)) {
+                    deps.add(dep.name);
+                }
+            }
+            chunkDependencies[chunkName] = [...deps];
+        } else {
+            chunkDependencies[chunkName] = chunk.parents.map(dep => dep.name);
+        }
+    }
+
+    return chunkDependencies;
+}
+
+// Run the given output files, in order, in a sandbox which stands in for the
+// browser and resolve to what the code passed to the global log() function.
+// The scripts which the webpack runtime adds to load async chunks are run one
+// at a time once the current script has finished.
+function runFiles(fileSystem, files) {
+    const logs = [];
+    const scripts = [];
+    const head = {appendChild: script => scripts.push(script)};
+    const sandbox = {
+        log: message => logs.push(message),
+        document: {
+            head,
+            createElement: () => ({setAttribute() {}}),
+            getElementsByTagName: () => [head],
         },
-        plugins: [
-            new SharedChunksPlugin({
+        setTimeout,
+        clearTimeout,
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+
+    const run = file => vm.runInContext(
+        fileSystem.readFileSync(`${__dirname}/dist/${file}`, 'utf8'),
+        sandbox,
+        {filename: file});
+
+    for (const file of files) {
+        run(file);
+    }
+    return new Promise((resolve, reject) => {
+        const next = () => {
+            if (scripts.length === 0) {
+                return resolve(logs);
+            }
+            const script = scripts.shift();
+            try {
+                run(script.src);
+            } catch (err) {
+                return reject(err);
+            }
+            script.onload({type: 'load', target: script});
+            setTimeout(next, 0);
+        };
+        setTimeout(next, 0);
+    });
+}
+
+for (const [version, webpack] of Object.entries(webpackVersions)) {
+    function createCompiler(entryPoints, options = {}) {
+        return webpack(Object.assign({
+            bail: true,
+            cache: false,
+            entry: entryPoints,
+            output: {
+                path: `${__dirname}/dist`,
+                filename: '[name].js',
+                chunkFilename: '[name].js',
+            },
+            plugins: [
+                new SharedChunksPlugin(Object.assign({
+                    specs: [
+                        {
+                            name: "vendor",
+                            selectedChunks: Object.keys(entryPoints),
+                            moduleFilter: (module) =>
+                                /vendor/.test(module.resource),
+                        },
+                        {
+                            name: "components",
+                            selectedChunks: Object.keys(entryPoints),
+                            moduleFilter: (module) =>
+                                /components/.test(module.resource),
+                        },
+                        {
+                            name: "feature-shared",
+                            selectedChunks: Object.keys(entryPoints),
+                            moduleFilter: (module) =>
+                                /features/.test(module.resource),
+                            minChunks: 2,
+                        },
+                    ]
+                }, options)),
+            ],
+        }, version >= 4 ? {
+            // Don't let webpack 4's own chunk splitting interfere.
+            mode: 'none',
+            optimization: {
+                splitChunks: false,
+            },
+        } : {}));
+    }
+
+    describe(`shared-chunk-plugin with webpack ${version}`, () => {
+        it('should generate chunks', () => {
+            const compiler = createCompiler({
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+                baz: path.resolve(__dirname, 'fixtures/features/baz.js'),
+                qux: path.resolve(__dirname, 'fixtures/features/qux.js'),
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+
+                expect([...chunkToModulesMap.foo].sort()).toEqual([
+                    'test/fixtures/features/foo.js'
+                ]);
+
+                expect([...chunkToModulesMap.bar].sort()).toEqual([
+                    'test/fixtures/features/bar.js'
+                ]);
+
+                expect([...chunkToModulesMap.baz].sort()).toEqual([
+                    'test/fixtures/features/baz.js'
+                ]);
+
+                expect([...chunkToModulesMap.qux].sort()).toEqual([
+                    'test/fixtures/features/quux.js',
+                    'test/fixtures/features/qux.js',
+                ]);
+
+                expect([...chunkToModulesMap.components].sort()).toEqual([
+                    'test/fixtures/components/comp1.js',
+                    'test/fixtures/components/comp2.js',
+                    'test/fixtures/util/util.js',
+                ]);
+
+                expect([...chunkToModulesMap.vendor].sort()).toEqual([
+                    'test/fixtures/vendor/dep1.js',
+                    'test/fixtures/vendor/dep2.js',
+                ]);
+
+                expect([...chunkToModulesMap['feature-shared']].sort()).toEqual([
+                    'test/fixtures/features/percent.js',
+                ]);
+
+                const chunkDependencies = getChunkDependencies(chunks);
+
+                expect(chunkDependencies.foo).toEqual([
+                    'vendor', 'components', 'feature-shared']);
+                expect(chunkDependencies.bar).toEqual([
+                    'vendor', 'components', 'feature-shared']);
+                expect(chunkDependencies.baz).toEqual([
+                    'vendor', 'components']);
+                expect(chunkDependencies.qux).toEqual([
+                    'components', 'feature-shared']);
+                expect(chunkDependencies.components).toEqual(['vendor']);
+                expect(chunkDependencies.vendor).toEqual([]);
+                if (version < 4) {
+                    // With webpack 4 feature-shared is loaded after vendor and
+                    // components since they're all in the same chunk groups.
+                    expect(chunkDependencies['feature-shared']).toEqual([]);
+                }
+            });
+        });
+
+        it('should not generate empty shared chunks', () => {
+            const compiler = createCompiler({
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                baz: path.resolve(__dirname, 'fixtures/features/baz.js'),
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+
+                expect([...chunkToModulesMap.foo].sort()).toEqual([
+                    'test/fixtures/features/foo.js',
+                    'test/fixtures/features/percent.js',
+                ]);
+
+                expect([...chunkToModulesMap.baz].sort()).toEqual([
+                    'test/fixtures/features/baz.js'
+                ]);
+
+                expect([...chunkToModulesMap.components].sort()).toEqual([
+                    'test/fixtures/components/comp1.js',
+                    'test/fixtures/components/comp2.js',
+                    'test/fixtures/util/util.js',
+                ]);
+
+                expect([...chunkToModulesMap.vendor].sort()).toEqual([
+                    'test/fixtures/vendor/dep1.js',
+                    'test/fixtures/vendor/dep2.js',
+                ]);
+
+                expect(chunkToModulesMap['feature-shared']).toBeUndefined();
+
+                const chunkDependencies = getChunkDependencies(chunks);
+
+                expect(chunkDependencies.foo).toEqual(['vendor', 'components']);
+                expect(chunkDependencies.baz).toEqual(['vendor', 'components']);
+                expect(chunkDependencies.components).toEqual(['vendor']);
+                expect(chunkDependencies.vendor).toEqual([]);
+
+                // feature-shared shared chunk was not generated
+                expect(chunkDependencies['feature-shared']).toBeUndefined();
+
+                expect(stats.compilation.warnings.map(w => w.message)).toEqual([
+                    "SharedChunksPlugin: 'feature-shared' chunk not created, " +
+                        'contains no modules',
+                ]);
+            });
+        });
+
+        it('should generate empty entry chunks', () => {
+            const compiler = createCompiler({
+                qux: path.resolve(__dirname, 'fixtures/features/qux.js'),
+                quux: path.resolve(__dirname, 'fixtures/features/quux.js'),
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+
+                expect([...chunkToModulesMap.qux].sort()).toEqual([
+                    "test/fixtures/features/percent.js",
+                    "test/fixtures/features/qux.js",
+                    "test/fixtures/util/util.js",
+                ]);
+
+                // quux contains no modules
+                expect(chunkToModulesMap.quux).toBeUndefined();
+
+                expect([...chunkToModulesMap['feature-shared']].sort()).toEqual([
+                    "test/fixtures/features/quux.js",
+                ]);
+
+                const chunkDependencies = getChunkDependencies(chunks);
+
+                expect(chunkDependencies.qux).toEqual(['feature-shared']);
+
+                // quux chunk was still generated even though it has no modules
+                expect(chunkDependencies.quux).toEqual(['feature-shared']);
+                expect(chunkDependencies.components).toBeUndefined();
+                expect(chunkDependencies.vendor).toBeUndefined();
+                expect(chunkDependencies['feature-shared']).toEqual([]);
+            });
+        });
+
+        it('should extract shared modules from async chunks', () => {
+            const compiler = createCompiler({
+                'async-consumer': path.resolve(__dirname, 'fixtures/features/async-consumer.js'),
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+                const asyncChunk = chunks.find(chunk => chunk.name === null);
+
+                expect([...chunkToModulesMap['async-consumer']].sort()).toEqual([
+                    'test/fixtures/features/async-consumer.js',
+                ]);
+
+                expect([...chunkToModulesMap[asyncChunk.id]].sort()).toEqual([
+                    'test/fixtures/features/async-dep.js',
+                    'test/fixtures/features/async-value.js',
+                ]);
+
+                expect([...chunkToModulesMap['feature-shared']].sort()).toEqual([
+                    'test/fixtures/features/percent.js',
+                ]);
+
+                const chunkDependencies = getChunkDependencies(chunks);
+
+                expect(chunkDependencies['async-consumer']).toEqual([]);
+                if (version < 4) {
+                    // The import() in async-consumer loads the shared chunks
+                    // along with the async chunk, which makes async-consumer
+                    // their parent as well.
+                    expect(chunkDependencies.components).toEqual(
+                        ['vendor', 'async-consumer']);
+                    expect(chunkDependencies.vendor).toEqual(['async-consumer']);
+                    expect(chunkDependencies['feature-shared']).toEqual(
+                        ['async-consumer']);
+                    expect(chunkDependencies[asyncChunk.id]).toEqual(
+                        ['async-consumer']);
+                    expect(asyncChunk.blocks[0].chunks
+                        .filter(chunk => chunk !== asyncChunk)
+                        .map(chunk => chunk.name)
+                        .sort()
+                    ).toEqual(['components', 'feature-shared', 'vendor']);
+                } else {
+                    expect(chunkDependencies.components).toEqual(['vendor']);
+                    expect(chunkDependencies.vendor).toEqual([]);
+                    // The shared chunks are loaded along with the async chunk.
+                    expect(chunkDependencies[asyncChunk.id]).toEqual(
+                        ['vendor', 'components', 'feature-shared']);
+                }
+            });
+        });
+
+        it('should count entry chunks and async chunks separately', () => {
+            const compiler = createCompiler({
+                'async-consumer': path.resolve(__dirname, 'fixtures/features/async-consumer.js'),
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+            });
+            // percent.js appears in foo and in the async chunk.
+            compiler.options.plugins[0].specs[2].minEntryChunks = 2;
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+                const asyncChunk = chunks.find(chunk => chunk.name === null);
+
+                expect(chunkToModulesMap['feature-shared']).toBeUndefined();
+
+                expect([...chunkToModulesMap.foo].sort()).toEqual([
+                    'test/fixtures/features/foo.js',
+                    'test/fixtures/features/percent.js',
+                ]);
+
+                expect([...chunkToModulesMap[asyncChunk.id]].sort()).toEqual([
+                    'test/fixtures/features/async-dep.js',
+                    'test/fixtures/features/async-value.js',
+                    'test/fixtures/features/percent.js',
+                ]);
+            });
+        });
+
+        it('should count async chunks towards minAsyncChunks', () => {
+            const compiler = createCompiler({
+                'async-consumer': path.resolve(__dirname, 'fixtures/features/async-consumer.js'),
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+            });
+            compiler.options.plugins[0].specs[2].minAsyncChunks = 1;
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+
+                expect([...chunkToModulesMap['feature-shared']].sort()).toEqual([
+                    'test/fixtures/features/percent.js',
+                ]);
+            });
+        });
+
+        it('should leave async chunks alone if asyncChunks is "exclude"', () => {
+            const compiler = createCompiler({
+                'async-consumer': path.resolve(__dirname, 'fixtures/features/async-consumer.js'),
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+            });
+            compiler.options.plugins[0].specs[1].asyncChunks = 'exclude';
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+                const asyncChunk = chunks.find(chunk => chunk.name === null);
+
+                expect([...chunkToModulesMap.components].sort()).toEqual([
+                    'test/fixtures/components/comp1.js',
+                    'test/fixtures/components/comp2.js',
+                    'test/fixtures/util/util.js',
+                ]);
+
+                expect([...chunkToModulesMap[asyncChunk.id]].sort()).toEqual([
+                    'test/fixtures/components/comp1.js',
+                    'test/fixtures/components/comp2.js',
+                    'test/fixtures/features/async-dep.js',
+                    'test/fixtures/features/async-value.js',
+                    'test/fixtures/util/util.js',
+                ]);
+
+                const chunkDependencies = getChunkDependencies(chunks);
+
+                expect(chunkDependencies.foo).toEqual([
+                    'vendor', 'components', 'feature-shared']);
+                // webpack 3 loads the shared chunks with the import() in
+                // async-consumer instead.
+                expect(chunkDependencies[asyncChunk.id]).toEqual(version < 4
+                    ? ['async-consumer']
+                    : ['vendor', 'feature-shared']);
+            });
+        });
+
+        it('should only select async chunks if asyncChunks is "only"', () => {
+            const compiler = createCompiler({
+                'async-consumer': path.resolve(__dirname, 'fixtures/features/async-consumer.js'),
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+            });
+            compiler.options.plugins[0].specs[1].asyncChunks = 'only';
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+                const asyncChunk = chunks.find(chunk => chunk.name === null);
+
+                expect([...chunkToModulesMap.components].sort()).toEqual([
+                    'test/fixtures/components/comp1.js',
+                    'test/fixtures/components/comp2.js',
+                    'test/fixtures/util/util.js',
+                ]);
+
+                expect([...chunkToModulesMap.foo].sort()).toEqual([
+                    'test/fixtures/components/comp1.js',
+                    'test/fixtures/components/comp2.js',
+                    'test/fixtures/features/foo.js',
+                    'test/fixtures/util/util.js',
+                ]);
+
+                const chunkDependencies = getChunkDependencies(chunks);
+
+                expect(chunkDependencies.foo).toEqual([
+                    'vendor', 'feature-shared']);
+            });
+        });
+
+        it('should load shared chunks which only async chunks need', () => {
+            const compiler = createCompiler({
+                loader: path.resolve(__dirname, 'fixtures/run/loader.js'),
+            }, {
+                specs: [{
+                    name: 'shared',
+                    test: /run\/shared/,
+                    asyncChunks: 'only',
+                    minChunks: 2,
+                }],
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const chunkToModulesMap = getChunkModules(stats.compilation.chunks);
+                expect([...chunkToModulesMap.shared]).toEqual([
+                    'test/fixtures/run/shared.js',
+                ]);
+
+                return runFiles(compiler.outputFileSystem, ['loader.js']);
+            }).then((logs) => {
+                expect(logs).toEqual(['first shared, second shared']);
+            });
+        });
+
+        it('should select async chunks like other chunks if asyncChunks is "selected"', () => {
+            const compiler = createCompiler({
+                'async-consumer': path.resolve(__dirname, 'fixtures/features/async-consumer.js'),
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+            });
+            const selectedChunks = [];
+            Object.assign(compiler.options.plugins[0].specs[1], {
+                asyncChunks: 'selected',
+                selectedChunks: (chunk) => {
+                    selectedChunks.push(chunk.name);
+                    return chunk.name !== 'foo';
+                },
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+                const asyncChunk = chunks.find(chunk => chunk.name === null);
+
+                expect(selectedChunks).toContain(null);
+
+                // The components only appear in the async chunk so foo keeps
+                // its own copies.
+                expect([...chunkToModulesMap.foo].sort()).toEqual([
+                    'test/fixtures/components/comp1.js',
+                    'test/fixtures/components/comp2.js',
+                    'test/fixtures/features/foo.js',
+                    'test/fixtures/util/util.js',
+                ]);
+                expect([...chunkToModulesMap[asyncChunk.id]].sort()).toEqual([
+                    'test/fixtures/features/async-dep.js',
+                    'test/fixtures/features/async-value.js',
+                ]);
+            });
+        });
+
+        it('should load async shared chunks on demand', () => {
+            const compiler = createCompiler({
+                'async-consumer': path.resolve(__dirname, 'fixtures/features/async-consumer.js'),
+                'async-consumer2': path.resolve(__dirname, 'fixtures/features/async-consumer2.js'),
+            }, {
+                manifest: true,
+            });
+            const {specs} = compiler.options.plugins[0];
+            specs[2].minEntryChunks = 1;
+            specs.push({
+                name: 'async-shared',
+                moduleFilter: (module) => /features/.test(module.resource),
+                minChunks: 2,
+                async: true,
+            });
+            compiler.options.output.chunkFilename = '[name].[id].js';
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {assets, chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+                const asyncShared = chunks.find(chunk => chunk.name === 'async-shared');
+
+                expect([...chunkToModulesMap['async-shared']].sort()).toEqual([
+                    'test/fixtures/features/async-dep.js',
+                ]);
+                expect(chunkToModulesMap['feature-shared']).toBeUndefined();
+
+                // The async shared chunk is loaded along with each async chunk
+                // that depends on it.
+                for (const entry of ['async-consumer', 'async-consumer2']) {
+                    expect(assets[`${entry}.js`].source()).toMatch(
+                        `__webpack_require__.e(${asyncShared.id})`);
+                }
+
+                const manifest = JSON.parse(
+                    assets['shared-chunks-manifest.json'].source());
+                expect(manifest.entries).toEqual({
+                    'async-consumer': [],
+                    'async-consumer2': [],
+                });
+                expect(Object.keys(manifest.asyncChunks).sort()).toEqual([
+                    './test/fixtures/features/async-other.js (from async-consumer2)',
+                    './test/fixtures/features/async-value.js (from async-consumer)',
+                ]);
+                for (const files of Object.values(manifest.asyncChunks)) {
+                    expect(files).toContain(`async-shared.${asyncShared.id}.js`);
+                }
+            });
+        });
+
+        it('should not create shared chunks smaller than minSize', () => {
+            const compiler = createCompiler({
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            });
+            compiler.options.plugins[0].specs[2].minSize = 1000;
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+
+                expect(chunkToModulesMap['feature-shared']).toBeUndefined();
+
+                for (const entry of ['foo', 'bar']) {
+                    expect([...chunkToModulesMap[entry]].sort()).toEqual([
+                        `test/fixtures/features/${entry}.js`,
+                        'test/fixtures/features/percent.js',
+                    ]);
+                }
+
+                const chunkDependencies = getChunkDependencies(chunks);
+
+                expect(chunkDependencies.foo).toEqual(['vendor', 'components']);
+
+                expect(stats.compilation.warnings.map(w => w.message)).toEqual([
+                    "SharedChunksPlugin: 'feature-shared' chunk not created, " +
+                        'smaller than minSize',
+                ]);
+            });
+        });
+
+        it('should record what each spec did if verbose is set', () => {
+            const compiler = createCompiler({
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            });
+            compiler.options.plugins[0].verbose = true;
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {sharedChunks} = stats.toJson();
+
+                expect(sharedChunks.map(spec => spec.name)).toEqual([
+                    'vendor', 'components', 'feature-shared']);
+
+                const vendorSize = getFixturesSize(
+                    'vendor/dep1.js', 'vendor/dep2.js');
+
+                expect(sharedChunks[0]).toEqual({
+                    name: 'vendor',
+                    created: true,
+                    chunks: ['vendor'],
+                    modules: 2,
+                    size: vendorSize,
+                    affectedChunks: ['foo', 'bar'],
+                    overBudgetChunks: [],
+                    chunkDeps: [],
+                });
+                expect(sharedChunks[1].affectedChunks).toEqual(['foo', 'bar']);
+                expect(sharedChunks[1].chunkDeps).toEqual(['vendor']);
+                expect(sharedChunks[2].modules).toEqual(1);
+            });
+        });
+
+        it('should label the placeholder chunks of a dry run in the stats', () => {
+            const compiler = createCompiler({
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            }, {
+                dryRun: true,
+                verbose: true,
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {sharedChunks} = stats.toJson();
+
+                expect(sharedChunks[0].affectedChunks).toEqual(['foo', 'bar']);
+                expect(sharedChunks[1].chunkDeps).toEqual(['vendor']);
+            });
+        });
+
+        it('should not add stats to toJson() by default', () => {
+            const compiler = createCompiler({
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                expect(stats.toJson().sharedChunks).toBeUndefined();
+            });
+        });
+
+        it('should report an error for existing chunks', () => {
+            const compiler = createCompiler({
+                vendor: path.resolve(__dirname, 'fixtures/vendor/polyfills.js'),
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            });
+            compiler.options.bail = false;
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                expect(stats.compilation.errors.map(e => e.message)).toEqual([
+                    "SharedChunksPlugin doesn't work with existing chunks, " +
+                        "set useExistingChunk to use 'vendor'",
+                ]);
+                expect(stats.toJson().errors.length).toEqual(1);
+            });
+        });
+
+        it('should not exceed maxInitialRequests', () => {
+            const compiler = createCompiler({
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+                baz: path.resolve(__dirname, 'fixtures/features/baz.js'),
+                qux: path.resolve(__dirname, 'fixtures/features/qux.js'),
+            }, {
+                manifest: true,
+                maxInitialRequests: 3,
+                verbose: true,
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {assets, chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+
+                const manifest = JSON.parse(
+                    assets['shared-chunks-manifest.json'].source());
+                for (const entry of ['foo', 'bar', 'baz', 'qux']) {
+                    expect(manifest.entries[entry].length + 1)
+                        .toBeLessThanOrEqual(3);
+                }
+
+                // None of the entries had room for feature-shared so the
+                // modules were left where they are.
+                expect(chunkToModulesMap['feature-shared']).toBeUndefined();
+                expect([...chunkToModulesMap.foo].sort()).toEqual([
+                    'test/fixtures/features/foo.js',
+                    'test/fixtures/features/percent.js',
+                ]);
+
+                const {sharedChunks} = stats.toJson();
+                expect(sharedChunks[2]).toMatchObject({
+                    name: 'feature-shared',
+                    created: false,
+                    overBudgetChunks: ['foo', 'bar', 'qux'],
+                });
+            });
+        });
+
+        it('should split shared chunks larger than maxSize', () => {
+            const compiler = createCompiler({
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            }, {
+                manifest: true,
+            });
+            // dep1.js and dep2.js are 24 bytes each.
+            compiler.options.plugins[0].specs[0].maxSize = 30;
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {assets, chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+
+                expect(chunkToModulesMap.vendor).toBeUndefined();
+                expect([...chunkToModulesMap['vendor~0']]).toEqual([
+                    'test/fixtures/vendor/dep1.js',
+                ]);
+                expect([...chunkToModulesMap['vendor~1']]).toEqual([
+                    'test/fixtures/vendor/dep2.js',
+                ]);
+
+                const chunkDependencies = getChunkDependencies(chunks);
+
+                expect(chunkDependencies.foo).toEqual([
+                    'vendor~0', 'vendor~1', 'components', 'feature-shared']);
+                expect(chunkDependencies.components).toEqual([
+                    'vendor~0', 'vendor~1']);
+
+                const manifest = JSON.parse(
+                    assets['shared-chunks-manifest.json'].source());
+                expect(manifest.entries.foo).toEqual([
+                    'vendor~0.js',
+                    'vendor~1.js',
+                    'components.js',
+                    'feature-shared.js',
+                ]);
+            });
+        });
+
+        it('should only change one part when a module is added', () => {
+            // The modules in a/, b/ and c/ are 40 bytes each and a/a0.js is
+            // 30 bytes.  It's left out of the first build.
+            const build = (exclude) => {
+                const compiler = createCompiler({
+                    entry1: path.resolve(__dirname, 'fixtures/split/entry1.js'),
+                    entry2: path.resolve(__dirname, 'fixtures/split/entry2.js'),
+                }, {
+                    specs: [{
+                        name: 'vendor',
+                        test: /fixtures\/split\/[abc]\//,
+                        exclude,
+                        minChunks: 2,
+                        maxSize: 200,
+                    }],
+                });
+                compiler.outputFileSystem = new MemoryFileSystem();
+                return compile(compiler).then((stats) => {
+                    const chunkToModulesMap = getChunkModules(stats.compilation.chunks);
+                    return Object.keys(chunkToModulesMap)
+                        .filter(name => /^vendor~/.test(name))
+                        .sort()
+                        .map(name => [...chunkToModulesMap[name]].sort());
+                });
+            };
+
+            return Promise.all([build([/a0\.js$/]), build([])]).then(([before, after]) => {
+                expect(before).toEqual([
+                    [
+                        'test/fixtures/split/a/a1.js',
+                        'test/fixtures/split/a/a2.js',
+                        'test/fixtures/split/b/b1.js',
+                        'test/fixtures/split/b/b2.js',
+                    ],
+                    [
+                        'test/fixtures/split/c/c1.js',
+                        'test/fixtures/split/c/c2.js',
+                    ],
+                ]);
+                expect(after).toEqual([
+                    [
+                        'test/fixtures/split/a/a0.js',
+                        ...before[0],
+                    ],
+                    before[1],
+                ]);
+            });
+        });
+
+        describe('overlapping specs', () => {
+            const createOverlappingCompiler = (onOverlap) => {
+                const compiler = createCompiler({
+                    foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                    bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+                }, {
+                    onOverlap,
+                });
+                const {specs} = compiler.options.plugins[0];
+                // vendor modules are only removed from foo so they're still in
+                // bar when components looks for modules.
+                specs[0].selectedChunks = ['foo'];
+                specs[1].moduleFilter = (module) =>
+                    /components|vendor/.test(module.resource);
+                compiler.outputFileSystem = new MemoryFileSystem();
+                return compiler;
+            };
+
+            const overlapMessage =
+                "SharedChunksPlugin: 'components' matches modules which are " +
+                "already in other shared chunks:\n" +
+                "  ./test/fixtures/vendor/dep1.js (already in 'vendor')\n" +
+                "  ./test/fixtures/vendor/dep2.js (already in 'vendor')";
+
+            it('should warn about overlapping modules', () => {
+                const compiler = createOverlappingCompiler('warn');
+
+                return compile(compiler).then((stats) => {
+                    const {chunks, errors, warnings} = stats.compilation;
+                    const chunkToModulesMap = getChunkModules(chunks);
+
+                    expect(warnings.map(warning => warning.message)).toEqual([
+                        overlapMessage]);
+                    expect(errors).toEqual([]);
+
+                    expect([...chunkToModulesMap.components].sort()).toEqual([
+                        'test/fixtures/components/comp1.js',
+                        'test/fixtures/components/comp2.js',
+                        'test/fixtures/util/util.js',
+                        'test/fixtures/vendor/dep1.js',
+                        'test/fixtures/vendor/dep2.js',
+                    ]);
+                });
+            });
+
+            it('should report overlapping modules as errors', () => {
+                const compiler = createOverlappingCompiler('error');
+
+                return compile(compiler).then((stats) => {
+                    const {errors, warnings} = stats.compilation;
+
+                    expect(errors.map(error => error.message)).toEqual([
+                        overlapMessage]);
+                    expect(warnings).toEqual([]);
+                });
+            });
+
+            it('should skip overlapping modules', () => {
+                const compiler = createOverlappingCompiler('skip');
+
+                return compile(compiler).then((stats) => {
+                    const {chunks, warnings} = stats.compilation;
+                    const chunkToModulesMap = getChunkModules(chunks);
+
+                    expect(warnings).toEqual([]);
+
+                    expect([...chunkToModulesMap.components].sort()).toEqual([
+                        'test/fixtures/components/comp1.js',
+                        'test/fixtures/components/comp2.js',
+                        'test/fixtures/util/util.js',
+                    ]);
+
+                    const chunkDependencies = getChunkDependencies(chunks);
+
+                    expect(chunkDependencies.components).toEqual(['vendor']);
+                });
+            });
+
+            it('should not report overlapping modules by default', () => {
+                const compiler = createOverlappingCompiler(undefined);
+
+                return compile(compiler).then((stats) => {
+                    const {errors, warnings} = stats.compilation;
+
+                    expect(errors).toEqual([]);
+                    expect(warnings).toEqual([]);
+                });
+            });
+        });
+
+        it('should match modules by package name', () => {
+            const compiler = createCompiler({
+                app1: path.resolve(__dirname, 'fixtures/packages/app1.js'),
+                app2: path.resolve(__dirname, 'fixtures/packages/app2.js'),
+            }, {
                 specs: [
                     {
-                        name: "vendor",
-                        selectedChunks: Object.keys(entryPoints),
-                        moduleFilter: (module) =>
-                            /vendor/.test(module.resource),
+                        name: 'khan',
+                        packages: ['@khan/*'],
                     },
                     {
-                        name: "components",
-                        selectedChunks: Object.keys(entryPoints),
-                        moduleFilter: (module) =>
-                            /components/.test(module.resource),
+                        name: 'vendor',
+                        test: /node_modules/,
+                        exclude: [path.resolve(__dirname, 'fixtures/node_modules/@khan')],
                     },
+                ],
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+
+                expect([...chunkToModulesMap.khan].sort()).toEqual([
+                    'test/fixtures/node_modules/@khan/math/index.js',
+                    'test/fixtures/node_modules/@khan/strings/index.js',
+                ]);
+                expect([...chunkToModulesMap.vendor]).toEqual([
+                    'test/fixtures/node_modules/left-pad/index.js',
+                ]);
+                expect([...chunkToModulesMap.app1]).toEqual([
+                    'test/fixtures/packages/app1.js',
+                ]);
+            });
+        });
+
+        it('should combine include and exclude with moduleFilter', () => {
+            const compiler = createCompiler({
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            }, {
+                specs: [
                     {
-                        name: "feature-shared",
-                        selectedChunks: Object.keys(entryPoints),
-                        moduleFilter: (module) =>
-                            /features/.test(module.resource),
-                        minChunks: 2,
+                        name: 'shared',
+                        include: [
+                            path.resolve(__dirname, 'fixtures/components'),
+                            /percent/,
+                        ],
+                        exclude: /comp2/,
+                        moduleFilter: (module) => !/util/.test(module.resource),
                     },
-                ]
-            }),
-        ],
-    });
-}
+                ],
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
 
-describe('shared-chunk-plugin', () => {
-    it('should generate chunks', () => {
-        const compiler = createCompiler({
-            foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
-            bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
-            baz: path.resolve(__dirname, 'fixtures/features/baz.js'),
-            qux: path.resolve(__dirname, 'fixtures/features/qux.js'),
+                // util.js and dep1.js don't match but comp1.js depends on
+                // them.
+                expect([...chunkToModulesMap.shared].sort()).toEqual([
+                    'test/fixtures/components/comp1.js',
+                    'test/fixtures/features/percent.js',
+                    'test/fixtures/util/util.js',
+                    'test/fixtures/vendor/dep1.js',
+                ]);
+                expect([...chunkToModulesMap.foo].sort()).toEqual([
+                    'test/fixtures/components/comp2.js',
+                    'test/fixtures/features/foo.js',
+                    'test/fixtures/vendor/dep2.js',
+                ]);
+            });
         });
-        compiler.outputFileSystem = new MemoryFileSystem();
 
-        return compile(compiler).then((stats) => {
-            const {chunks, modules} = stats.compilation;
-            const chunkToModulesMap = {};
+        it('should select chunks using patterns', () => {
+            const compiler = createCompiler({
+                'page-foo': path.resolve(__dirname, 'fixtures/features/foo.js'),
+                'page-bar': path.resolve(__dirname, 'fixtures/features/bar.js'),
+                'admin-baz': path.resolve(__dirname, 'fixtures/features/baz.js'),
+            }, {
+                specs: [
+                    {
+                        name: 'components',
+                        selectedChunks: 'page-*',
+                        test: /components/,
+                    },
+                    {
+                        name: 'feature-shared',
+                        selectedChunks: [/^page-/],
+                        excludeChunks: 'page-bar',
+                        test: /percent/,
+                    },
+                ],
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
 
-            for (const module of modules) {
-                for (const chunk of module.chunks) {
-                    if (!chunkToModulesMap.hasOwnProperty(chunk.name)) {
-                        chunkToModulesMap[chunk.name] = new Set();
-                    }
-                    chunkToModulesMap[chunk.name].add(module.portableId);
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+
+                expect([...chunkToModulesMap['page-foo']]).toEqual([
+                    'test/fixtures/features/foo.js',
+                ]);
+                expect([...chunkToModulesMap['page-bar']].sort()).toEqual([
+                    'test/fixtures/features/bar.js',
+                    'test/fixtures/features/percent.js',
+                ]);
+                expect([...chunkToModulesMap['admin-baz']].sort()).toEqual([
+                    'test/fixtures/components/comp1.js',
+                    'test/fixtures/features/baz.js',
+                    'test/fixtures/util/util.js',
+                    'test/fixtures/vendor/dep1.js',
+                ]);
+            });
+        });
+
+        describe('auto', () => {
+            const createAutoCompiler = (auto, entryNames = ['foo', 'bar', 'baz', 'qux']) => {
+                const entryPoints = {};
+                for (const name of entryNames) {
+                    entryPoints[name] = path.resolve(__dirname, `fixtures/features/${name}.js`);
                 }
-            }
+                const compiler = createCompiler(entryPoints, {
+                    specs: [{name: 'vendor', test: /vendor/}],
+                    auto: Object.assign({minSize: 0}, auto),
+                });
+                compiler.outputFileSystem = new MemoryFileSystem();
+                return compiler;
+            };
 
-            expect([...chunkToModulesMap.foo].sort()).toEqual([
-                'test/fixtures/features/foo.js'
-            ]);
-
-            expect([...chunkToModulesMap.bar].sort()).toEqual([
-                'test/fixtures/features/bar.js'
-            ]);
-
-            expect([...chunkToModulesMap.baz].sort()).toEqual([
-                'test/fixtures/features/baz.js'
-            ]);
-
-            expect([...chunkToModulesMap.qux].sort()).toEqual([
-                'test/fixtures/features/quux.js',
-                'test/fixtures/features/qux.js',
-            ]);
-
-            expect([...chunkToModulesMap.components].sort()).toEqual([
-                'test/fixtures/components/comp1.js',
-                'test/fixtures/components/comp2.js',
-                'test/fixtures/util/util.js',
-            ]);
-
-            expect([...chunkToModulesMap.vendor].sort()).toEqual([
-                'test/fixtures/vendor/dep1.js',
-                'test/fixtures/vendor/dep2.js',
-            ]);
-
-            expect([...chunkToModulesMap['feature-shared']].sort()).toEqual([
-                'test/fixtures/features/percent.js',
-            ]);
-
-            const chunkDependencies = {};
-            for (const chunk of chunks) {
-                chunkDependencies[chunk.name] = chunk.parents.map(dep => dep.name);
-            }
+            it('should generate shared chunks for modules left in entries', () => {
+                const compiler = createAutoCompiler({});
+
+                return compile(compiler).then((stats) => {
+                    const {chunks} = stats.compilation;
+                    const chunkToModulesMap = getChunkModules(chunks);
+
+                    expect([...chunkToModulesMap['shared~bar~baz~foo~qux']]).toEqual([
+                        'test/fixtures/util/util.js',
+                    ]);
+                    expect([...chunkToModulesMap['shared~bar~baz~foo']]).toEqual([
+                        'test/fixtures/components/comp1.js',
+                    ]);
+                    expect([...chunkToModulesMap['shared~bar~foo']]).toEqual([
+                        'test/fixtures/components/comp2.js',
+                    ]);
+                    expect([...chunkToModulesMap['shared~bar~foo~qux']]).toEqual([
+                        'test/fixtures/features/percent.js',
+                    ]);
+                    expect([...chunkToModulesMap.foo]).toEqual([
+                        'test/fixtures/features/foo.js',
+                    ]);
+
+                    const chunkDependencies = getChunkDependencies(chunks);
 
-            expect(chunkDependencies.foo).toEqual([
-                'vendor', 'components', 'feature-shared']);
-            expect(chunkDependencies.bar).toEqual([
-                'vendor', 'components', 'feature-shared']);
-            expect(chunkDependencies.baz).toEqual([
-                'vendor', 'components']);
-            expect(chunkDependencies.qux).toEqual([
-                'components', 'feature-shared']);
-            expect(chunkDependencies.components).toEqual(['vendor']);
-            expect(chunkDependencies.vendor).toEqual([]);
-            expect(chunkDependencies['feature-shared']).toEqual([]);
+                    expect(chunkDependencies.foo).toEqual([
+                        'vendor',
+                        'shared~bar~baz~foo~qux',
+                        'shared~bar~baz~foo',
+                        'shared~bar~foo~qux',
+                        'shared~bar~foo',
+                    ]);
+                });
+            });
+
+            it('should respect maxSharedChunks and maxParentsPerEntry', () => {
+                const compiler = createAutoCompiler({
+                    maxSharedChunks: 3,
+                    maxParentsPerEntry: 3,
+                });
+
+                return compile(compiler).then((stats) => {
+                    const {chunks} = stats.compilation;
+                    const chunkDependencies = getChunkDependencies(chunks);
+
+                    expect(chunkDependencies.foo).toEqual([
+                        'vendor', 'shared~bar~baz~foo~qux', 'shared~bar~baz~foo']);
+                    expect(chunkDependencies.qux).toEqual([
+                        'shared~bar~baz~foo~qux']);
+                    expect(chunks.filter(chunk => /^shared~/.test(chunk.name)).length)
+                        .toEqual(2);
+                });
+            });
+
+            it('should name shared chunks independently of entry order', () => {
+                const compiler = createAutoCompiler({}, ['qux', 'baz', 'bar', 'foo']);
+
+                return compile(compiler).then((stats) => {
+                    const names = stats.compilation.chunks
+                        .map(chunk => chunk.name)
+                        .filter(name => /^shared~/.test(name))
+                        .sort();
+
+                    expect(names).toEqual([
+                        'shared~bar~baz~foo',
+                        'shared~bar~baz~foo~qux',
+                        'shared~bar~foo',
+                        'shared~bar~foo~qux',
+                    ]);
+                });
+            });
         });
-    });
 
-    it('should not generate empty shared chunks', () => {
-        const compiler = createCompiler({
-            foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
-            baz: path.resolve(__dirname, 'fixtures/features/baz.js'),
+        it('should report selected chunks which do not exist', () => {
+            const compiler = createCompiler({
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            });
+            compiler.options.bail = false;
+            compiler.options.plugins[0].specs[1].selectedChunks = ['foo', 'baz'];
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                expect(stats.compilation.errors.map(e => e.message)).toEqual([
+                    "SharedChunksPlugin: specs[1].selectedChunks contains " +
+                        "'baz' which isn't an existing chunk",
+                ]);
+            });
         });
-        compiler.outputFileSystem = new MemoryFileSystem();
 
-        return compile(compiler).then((stats) => {
-            const {chunks, modules} = stats.compilation;
-            const chunkToModulesMap = {};
+        it('should leave child compilations alone', () => {
+            const compiler = createCompiler({
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            });
+            compiler.options.bail = false;
+            compiler.outputFileSystem = new MemoryFileSystem();
 
-            for (const module of modules) {
-                for (const chunk of module.chunks) {
-                    if (!chunkToModulesMap.hasOwnProperty(chunk.name)) {
-                        chunkToModulesMap[chunk.name] = new Set();
-                    }
-                    chunkToModulesMap[chunk.name].add(module.portableId);
-                }
+            // Like html-webpack-plugin, compile another entry in a child
+            // compiler, which doesn't have the chunks the specs select.
+            let childCompilation = null;
+            const onMake = (compilation, callback) => {
+                const childCompiler = compilation.createChildCompiler(
+                    'child', {filename: 'child.js'});
+                const SingleEntryPlugin = require(version >= 4
+                    ? 'webpack4/lib/SingleEntryPlugin'
+                    : 'webpack/lib/SingleEntryPlugin');
+                new SingleEntryPlugin(
+                    compiler.context,
+                    path.resolve(__dirname, 'fixtures/features/baz.js'),
+                    'child'
+                ).apply(childCompiler);
+                childCompiler.runAsChild((err, entries, compilation) => {
+                    childCompilation = compilation;
+                    callback(err);
+                });
+            };
+            if (compiler.hooks) {
+                compiler.hooks.make.tapAsync('test', onMake);
+            } else {
+                compiler.plugin('make', onMake);
             }
 
-            expect([...chunkToModulesMap.foo].sort()).toEqual([
-                'test/fixtures/features/foo.js',
-                'test/fixtures/features/percent.js',
-            ]);
+            return compile(compiler).then((stats) => {
+                expect(childCompilation.errors).toEqual([]);
+                expect(childCompilation.warnings).toEqual([]);
+                expect(stats.hasErrors()).toBe(false);
+                expect(stats.compilation.chunks.map(chunk => chunk.name))
+                    .toContain('vendor');
+            });
+        });
 
-            expect([...chunkToModulesMap.baz].sort()).toEqual([
-                'test/fixtures/features/baz.js'
-            ]);
+        it('should select all chunks if selectedChunks is not specified', () => {
+            const compiler = createCompiler({
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            });
+            for (const spec of compiler.options.plugins[0].specs) {
+                delete spec.selectedChunks;
+            }
+            compiler.outputFileSystem = new MemoryFileSystem();
 
-            expect([...chunkToModulesMap.components].sort()).toEqual([
-                'test/fixtures/components/comp1.js',
-                'test/fixtures/components/comp2.js',
-                'test/fixtures/util/util.js',
-            ]);
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
 
-            expect([...chunkToModulesMap.vendor].sort()).toEqual([
-                'test/fixtures/vendor/dep1.js',
-                'test/fixtures/vendor/dep2.js',
-            ]);
+                expect([...chunkToModulesMap.vendor].sort()).toEqual([
+                    'test/fixtures/vendor/dep1.js',
+                    'test/fixtures/vendor/dep2.js',
+                ]);
 
-            expect(chunkToModulesMap['feature-shared']).toBeUndefined();
+                const chunkDependencies = getChunkDependencies(chunks);
 
-            const chunkDependencies = {};
-            for (const chunk of chunks) {
-                chunkDependencies[chunk.name] = chunk.parents.map(dep => dep.name);
-            }
+                expect(chunkDependencies.foo).toEqual([
+                    'vendor', 'components', 'feature-shared']);
+                expect(chunkDependencies.vendor).toEqual([]);
+            });
+        });
+
+        it('should add modules to an existing entry chunk', () => {
+            const compiler = createCompiler({
+                vendor: path.resolve(__dirname, 'fixtures/vendor/polyfills.js'),
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            });
+            compiler.options.plugins[0].specs[0].useExistingChunk = true;
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+
+                // util.js doesn't match the moduleFilter but it's already in
+                // the vendor chunk.
+                expect([...chunkToModulesMap.vendor].sort()).toEqual([
+                    'test/fixtures/util/util.js',
+                    'test/fixtures/vendor/dep1.js',
+                    'test/fixtures/vendor/dep2.js',
+                    'test/fixtures/vendor/polyfills.js',
+                ]);
 
-            expect(chunkDependencies.foo).toEqual(['vendor', 'components']);
-            expect(chunkDependencies.baz).toEqual(['vendor', 'components']);
-            expect(chunkDependencies.components).toEqual(['vendor']);
-            expect(chunkDependencies.vendor).toEqual([]);
+                expect([...chunkToModulesMap.components].sort()).toEqual([
+                    'test/fixtures/components/comp1.js',
+                    'test/fixtures/components/comp2.js',
+                ]);
 
-            // feature-shared shared chunk was not generated
-            expect(chunkDependencies['feature-shared']).toBeUndefined();
+                expect([...chunkToModulesMap.foo].sort()).toEqual([
+                    'test/fixtures/features/foo.js',
+                ]);
+
+                const chunkDependencies = getChunkDependencies(chunks);
+
+                expect(chunkDependencies.foo).toEqual([
+                    'vendor', 'components', 'feature-shared']);
+                expect(chunkDependencies.components).toEqual(['vendor']);
+                expect(chunkDependencies.vendor).toEqual([]);
+            });
         });
-    });
 
-    it('should generate empty entry chunks', () => {
-        const compiler = createCompiler({
-            qux: path.resolve(__dirname, 'fixtures/features/qux.js'),
-            quux: path.resolve(__dirname, 'fixtures/features/quux.js'),
+        it('should add modules to an existing chunk which is not selected', () => {
+            const compiler = createCompiler({
+                vendor: path.resolve(__dirname, 'fixtures/vendor/polyfills.js'),
+                page1: path.resolve(__dirname, 'fixtures/reuse/page1.js'),
+                page2: path.resolve(__dirname, 'fixtures/reuse/page2.js'),
+            }, {
+                specs: [{
+                    name: 'vendor',
+                    useExistingChunk: true,
+                    selectedChunks: ['page1', 'page2'],
+                    test: /reuse\/lib/,
+                    minChunks: 2,
+                }],
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const chunkToModulesMap = getChunkModules(stats.compilation.chunks);
+
+                expect([...chunkToModulesMap.vendor].sort()).toEqual([
+                    'test/fixtures/reuse/helper.js',
+                    'test/fixtures/reuse/lib.js',
+                    'test/fixtures/util/util.js',
+                    'test/fixtures/vendor/polyfills.js',
+                ]);
+                expect([...chunkToModulesMap.page1]).toEqual([
+                    'test/fixtures/reuse/page1.js',
+                ]);
+                expect([...chunkToModulesMap.page2]).toEqual([
+                    'test/fixtures/reuse/page2.js',
+                ]);
+            });
         });
-        compiler.outputFileSystem = new MemoryFileSystem();
 
-        return compile(compiler).then((stats) => {
-            const {chunks, modules} = stats.compilation;
-            const chunkToModulesMap = {};
+        it('should run the entries which use an existing chunk', () => {
+            const compiler = createCompiler({
+                vendor: path.resolve(__dirname, 'fixtures/run/vendor.js'),
+                a: path.resolve(__dirname, 'fixtures/run/a.js'),
+                b: path.resolve(__dirname, 'fixtures/run/b.js'),
+            }, {
+                specs: [{
+                    name: 'vendor',
+                    useExistingChunk: true,
+                    test: /run\/lib/,
+                    minChunks: 2,
+                }],
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
 
-            for (const module of modules) {
-                for (const chunk of module.chunks) {
-                    if (!chunkToModulesMap.hasOwnProperty(chunk.name)) {
-                        chunkToModulesMap[chunk.name] = new Set();
-                    }
-                    chunkToModulesMap[chunk.name].add(module.portableId);
+            return compile(compiler).then(() => {
+                return runFiles(compiler.outputFileSystem, ['vendor.js', 'a.js', 'b.js']);
+            }).then((logs) => {
+                expect(logs).toEqual(['vendor', 'a lib', 'b lib']);
+            });
+        });
+
+        it('should emit a manifest with the load order for each chunk', () => {
+            const compiler = createCompiler({
+                'async-consumer': path.resolve(__dirname, 'fixtures/features/async-consumer.js'),
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                baz: path.resolve(__dirname, 'fixtures/features/baz.js'),
+            }, {
+                manifest: true,
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then(() => {
+                const manifest = JSON.parse(compiler.outputFileSystem.readFileSync(
+                    `${__dirname}/dist/shared-chunks-manifest.json`, 'utf8'));
+
+                expect(manifest.entries).toEqual({
+                    'async-consumer': [],
+                    foo: ['vendor.js', 'components.js', 'feature-shared.js'],
+                    baz: ['vendor.js', 'components.js'],
+                });
+                expect(manifest.asyncChunks).toEqual({
+                    './test/fixtures/features/async-value.js (from async-consumer)': [
+                        'vendor.js', 'components.js', 'feature-shared.js'],
+                });
+                expect(manifest.sharedChunks.vendor).toEqual({
+                    files: ['vendor.js'],
+                    parents: [],
+                    modules: [
+                        './test/fixtures/vendor/dep1.js',
+                        './test/fixtures/vendor/dep2.js',
+                    ],
+                    size: getFixturesSize('vendor/dep1.js', 'vendor/dep2.js'),
+                });
+                expect(manifest.sharedChunks.components).toEqual({
+                    files: ['components.js'],
+                    parents: ['vendor'],
+                    modules: [
+                        './test/fixtures/components/comp1.js',
+                        './test/fixtures/components/comp2.js',
+                        './test/fixtures/util/util.js',
+                    ],
+                    size: getFixturesSize('components/comp1.js',
+                        'components/comp2.js', 'util/util.js'),
+                });
+            });
+        });
+
+        it('should use the hashed filenames in the manifest', () => {
+            const compiler = createCompiler({
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            }, {
+                manifest: 'manifest.json',
+            });
+            compiler.options.output.filename = '[name].[chunkhash].js';
+            compiler.options.output.chunkFilename = '[name].[chunkhash].js';
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {assets, chunks} = stats.compilation;
+                const manifest = JSON.parse(assets['manifest.json'].source());
+                const vendor = chunks.find(chunk => chunk.name === 'vendor');
+
+                expect(vendor.files[0]).toMatch(/^vendor\.[0-9a-f]+\.js$/);
+                expect(manifest.entries.foo[0]).toEqual(vendor.files[0]);
+                expect(manifest.sharedChunks.vendor.files).toEqual(vendor.files);
+            });
+        });
+
+        describe('module wrappers', () => {
+            const fixture = file => path.resolve(__dirname, 'fixtures/wrappers', file);
+
+            // Return a map between chunk names and the readable identifiers of
+            // the modules they contain, which unlike getChunkModules() works
+            // for modules that weren't created from a file.
+            const getChunkIdentifiers = (compilation) => {
+                const requestShortener = compilation.requestShortener ||
+                    compilation.moduleTemplate.requestShortener;
+                const chunkToIdentifiersMap = {};
+                for (const chunk of compilation.chunks) {
+                    chunkToIdentifiersMap[chunk.name] = Array.from(
+                        chunk.modulesIterable,
+                        module => module.readableIdentifier(requestShortener)
+                    ).sort();
                 }
-            }
+                return chunkToIdentifiersMap;
+            };
+
+            it('should not change with scope hoisting', () => {
+                const build = (concatenateModules) => {
+                    const compiler = createCompiler({
+                        esm1: fixture('esm1.js'),
+                        esm2: fixture('esm2.js'),
+                    }, {
+                        specs: [{name: 'lib', test: fixture('lib')}],
+                        manifest: true,
+                        chunkIds: 'hash',
+                    });
+                    if (concatenateModules) {
+                        new webpack.optimize.ModuleConcatenationPlugin().apply(compiler);
+                    }
+                    compiler.outputFileSystem = new MemoryFileSystem();
+                    return compile(compiler);
+                };
 
-            expect([...chunkToModulesMap.qux].sort()).toEqual([
-                "test/fixtures/features/percent.js",
-                "test/fixtures/features/qux.js",
-                "test/fixtures/util/util.js",
-            ]);
+                return Promise.all([build(false), build(true)]).then(([before, after]) => {
+                    const getLib = ({compilation}) =>
+                        compilation.chunks.find(chunk => chunk.name === 'lib');
+                    const getManifest = ({compilation}) => JSON.parse(
+                        compilation.assets['shared-chunks-manifest.json'].source());
 
-            // quux contains no modules
-            expect(chunkToModulesMap.quux).toBeUndefined();
+                    expect(Array.from(getLib(after).modulesIterable)).toEqual([
+                        expect.objectContaining({rootModule: expect.anything()}),
+                    ]);
+                    expect(getManifest(before).sharedChunks.lib.modules).toEqual([
+                        './test/fixtures/wrappers/lib/format.js',
+                        './test/fixtures/wrappers/lib/pad.js',
+                    ]);
+                    expect(getManifest(after)).toEqual(getManifest(before));
+                    expect(getLib(after).id).toEqual(getLib(before).id);
+                });
+            });
 
-            expect([...chunkToModulesMap['feature-shared']].sort()).toEqual([
-                "test/fixtures/features/quux.js",
-            ]);
+            it('should match context modules by their directory', () => {
+                const compiler = createCompiler({
+                    context1: fixture('context1.js'),
+                    context2: fixture('context2.js'),
+                }, {
+                    specs: [{name: 'locales', test: /locales$|locales[\\/]/}],
+                });
+                compiler.outputFileSystem = new MemoryFileSystem();
 
-            const chunkDependencies = {};
-            for (const chunk of chunks) {
-                chunkDependencies[chunk.name] = chunk.parents.map(dep => dep.name);
-            }
+                return compile(compiler).then(({compilation}) => {
+                    const chunkToIdentifiersMap = getChunkIdentifiers(compilation);
+
+                    // The identifiers of context modules differ between
+                    // versions of webpack.
+                    expect(chunkToIdentifiersMap.locales).toEqual([
+                        expect.stringMatching(/^\.\/test\/fixtures\/wrappers\/locales /),
+                        './test/fixtures/wrappers/locales/en.js',
+                        './test/fixtures/wrappers/locales/fr.js',
+                    ]);
+                    expect(chunkToIdentifiersMap.context1).toEqual([
+                        './test/fixtures/wrappers/context1.js',
+                    ]);
+                });
+            });
+
+            it('should match external modules by the package they request', () => {
+                const compiler = createCompiler({
+                    external1: fixture('external1.js'),
+                    external2: fixture('external2.js'),
+                }, {
+                    specs: [{name: 'react', packages: ['react']}],
+                });
+                new webpack.ExternalsPlugin('var', {react: 'React'}).apply(compiler);
+                compiler.outputFileSystem = new MemoryFileSystem();
+
+                return compile(compiler).then(({compilation}) => {
+                    const chunkToIdentifiersMap = getChunkIdentifiers(compilation);
+
+                    expect(chunkToIdentifiersMap.react).toEqual([
+                        'external "React"',
+                    ]);
+                    expect(chunkToIdentifiersMap.external1).toEqual([
+                        './test/fixtures/wrappers/external1.js',
+                    ]);
+                });
+            });
+
+            it('should match delegated modules by their path in the DLL', () => {
+                const compiler = createCompiler({
+                    dll1: fixture('dll1.js'),
+                    dll2: fixture('dll2.js'),
+                }, {
+                    specs: [{name: 'dll', packages: ['left-pad']}],
+                });
+                new webpack.DllReferencePlugin({
+                    context: path.resolve(__dirname, 'fixtures'),
+                    manifest: require('./fixtures/wrappers/dll-manifest.json'),
+                }).apply(compiler);
+                compiler.outputFileSystem = new MemoryFileSystem();
+
+                return compile(compiler).then(({compilation}) => {
+                    const chunkToIdentifiersMap = getChunkIdentifiers(compilation);
+
+                    // The module which exports the DLL is a dependency of the
+                    // delegated module.
+                    expect(chunkToIdentifiersMap.dll).toEqual([
+                        'delegated ./node_modules/left-pad/index.js from dll-reference vendor_lib',
+                        'external "vendor_lib"',
+                    ]);
+                    expect(chunkToIdentifiersMap.dll1).toEqual([
+                        './test/fixtures/wrappers/dll1.js',
+                    ]);
+                });
+            });
 
-            expect(chunkDependencies.qux).toEqual(['feature-shared']);
+            it('should not move weak dependencies', () => {
+                const compiler = createCompiler({
+                    weak1: fixture('weak1.js'),
+                    weak2: fixture('weak2.js'),
+                }, {
+                    specs: [{name: 'load', test: /load\.js$/}],
+                });
+                compiler.outputFileSystem = new MemoryFileSystem();
 
-            // quux chunk was still generated even though it has no modules
-            expect(chunkDependencies.quux).toEqual(['feature-shared']);
-            expect(chunkDependencies.components).toBeUndefined();
-            expect(chunkDependencies.vendor).toBeUndefined();
-            expect(chunkDependencies['feature-shared']).toEqual([]);
+                return compile(compiler).then(({compilation}) => {
+                    const chunkToIdentifiersMap = getChunkIdentifiers(compilation);
+
+                    expect(chunkToIdentifiersMap.load).toEqual([
+                        './test/fixtures/wrappers/lib/load.js',
+                    ]);
+                    expect(chunkToIdentifiersMap.weak1).toEqual([
+                        './test/fixtures/wrappers/weak1.js',
+                    ]);
+                });
+            });
         });
-    });
 
-    it('should extract shared modules from async chunks', () => {
-        const compiler = createCompiler({
-            'async-consumer': path.resolve(__dirname, 'fixtures/features/async-consumer.js'),
-            foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+        describe('transitiveDeps', () => {
+            // comp1.js requires util.js, which the 'components' spec doesn't
+            // match.
+            const createTransitiveCompiler = (transitiveDeps) => {
+                const compiler = createCompiler({
+                    foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                    bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+                }, {
+                    manifest: true,
+                });
+                compiler.options.plugins[0].specs[1].transitiveDeps = transitiveDeps;
+                compiler.outputFileSystem = new MemoryFileSystem();
+                return compiler;
+            };
+
+            it('should leave unmatched dependencies in the entries with exclude', () => {
+                return compile(createTransitiveCompiler('exclude')).then((stats) => {
+                    const {chunks} = stats.compilation;
+                    const chunkToModulesMap = getChunkModules(chunks);
+
+                    expect([...chunkToModulesMap.components].sort()).toEqual([
+                        'test/fixtures/components/comp1.js',
+                        'test/fixtures/components/comp2.js',
+                    ]);
+                    expect([...chunkToModulesMap.foo].sort()).toEqual([
+                        'test/fixtures/features/foo.js',
+                        'test/fixtures/util/util.js',
+                    ]);
+                    expect([...chunkToModulesMap.bar].sort()).toEqual([
+                        'test/fixtures/features/bar.js',
+                        'test/fixtures/util/util.js',
+                    ]);
+                    expect(getChunkDependencies(chunks).foo).toEqual([
+                        'vendor', 'components', 'feature-shared']);
+                });
+            });
+
+            it('should move unmatched dependencies into their own chunk with separate', () => {
+                return compile(createTransitiveCompiler('separate')).then((stats) => {
+                    const {assets, chunks} = stats.compilation;
+                    const chunkToModulesMap = getChunkModules(chunks);
+
+                    expect([...chunkToModulesMap.components].sort()).toEqual([
+                        'test/fixtures/components/comp1.js',
+                        'test/fixtures/components/comp2.js',
+                    ]);
+                    expect([...chunkToModulesMap['components~deps']]).toEqual([
+                        'test/fixtures/util/util.js',
+                    ]);
+                    expect([...chunkToModulesMap.foo]).toEqual([
+                        'test/fixtures/features/foo.js',
+                    ]);
+
+                    const chunkDependencies = getChunkDependencies(chunks);
+                    expect(chunkDependencies.foo).toEqual([
+                        'vendor', 'components~deps', 'components', 'feature-shared']);
+                    if (version < 4) {
+                        expect(chunkDependencies.components).toEqual(
+                            ['vendor', 'components~deps']);
+                    }
+
+                    const manifest = JSON.parse(
+                        assets['shared-chunks-manifest.json'].source());
+                    expect(manifest.sharedChunks.components.parents).toEqual([
+                        'vendor', 'components~deps']);
+                    expect(manifest.entries.foo).toEqual([
+                        'vendor.js',
+                        'components~deps.js',
+                        'components.js',
+                        'feature-shared.js',
+                    ]);
+                });
+            });
         });
-        compiler.outputFileSystem = new MemoryFileSystem();
 
-        return compile(compiler).then((stats) => {
-            const {assets, chunks, modules} = stats.compilation;
-            const chunkToModulesMap = {};
+        describe('explain', () => {
+            const entryPoints = {
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            };
+
+            it('should explain why each module was moved', () => {
+                const compiler = createCompiler(entryPoints, {explain: true});
+                compiler.outputFileSystem = new MemoryFileSystem();
+
+                return compile(compiler).then((stats) => {
+                    const {assets} = stats.compilation;
+                    const explanation = JSON.parse(
+                        assets['shared-chunks-explain.json'].source());
 
-            for (const module of modules) {
-                for (const chunk of module.chunks) {
-                    // async chunks don't have a name so we'll use they're id
-                    // instead
-                    const chunkName = chunk.name || chunk.id;
-                    if (!chunkToModulesMap.hasOwnProperty(chunkName)) {
-                        chunkToModulesMap[chunkName] = new Set();
+                    expect(explanation.specs[1]).toEqual({
+                        name: 'components',
+                        chunks: ['components'],
+                        modules: [
+                            {
+                                module: './test/fixtures/components/comp1.js',
+                                chunk: 'components',
+                                reason: 'matched',
+                                entryChunks: 2,
+                                asyncChunks: 0,
+                                minChunks: 1,
+                            },
+                            {
+                                module: './test/fixtures/components/comp2.js',
+                                chunk: 'components',
+                                reason: 'matched',
+                                entryChunks: 2,
+                                asyncChunks: 0,
+                                minChunks: 1,
+                            },
+                            {
+                                module: './test/fixtures/util/util.js',
+                                chunk: 'components',
+                                reason: 'dependency',
+                                importers: ['./test/fixtures/components/comp1.js'],
+                            },
+                        ],
+                        chunkDeps: [
+                            {
+                                chunk: 'vendor',
+                                module: './test/fixtures/components/comp1.js',
+                                dependency: './test/fixtures/vendor/dep1.js',
+                            },
+                        ],
+                    });
+                    expect(explanation.specs[2].modules.map(({module}) => module))
+                        .toEqual(['./test/fixtures/features/percent.js']);
+
+                    const text = assets['shared-chunks-explain.txt'].source();
+                    expect(text).toContain(
+                        './test/fixtures/util/util.js -> components: ' +
+                        'dependency via ./test/fixtures/components/comp1.js');
+                    expect(text).toContain(
+                        'depends on vendor: ./test/fixtures/components/comp1.js ' +
+                        'imports ./test/fixtures/vendor/dep1.js');
+                });
+            });
+
+            it('should not change any chunks in a dry run', () => {
+                const compiler = createCompiler(entryPoints, {
+                    explain: true,
+                    dryRun: true,
+                    manifest: true,
+                });
+                compiler.outputFileSystem = new MemoryFileSystem();
+
+                return compile(compiler).then((stats) => {
+                    const {assets, chunks} = stats.compilation;
+
+                    expect(chunks.map(chunk => chunk.name).sort()).toEqual(
+                        ['bar', 'foo']);
+                    const chunkToModulesMap = getChunkModules(chunks);
+                    expect(chunkToModulesMap.foo.size).toEqual(7);
+                    expect(chunkToModulesMap.bar.size).toEqual(7);
+                    expect(assets['shared-chunks-manifest.json']).toBeUndefined();
+
+                    const explanation = JSON.parse(
+                        assets['shared-chunks-explain.json'].source());
+                    expect(explanation.specs.map(spec => spec.chunks)).toEqual(
+                        [['vendor'], ['components'], ['feature-shared']]);
+                    expect(explanation.specs[1].modules.length).toEqual(3);
+                });
+            });
+
+            it('should only pass webpack chunks to selectedChunks functions in a dry run', () => {
+                const selectedChunks = [];
+                const selectEntryChunks = (chunk) => {
+                    selectedChunks.push(chunk.name);
+                    return chunk.hasRuntime();
+                };
+                const compiler = createCompiler(entryPoints, {
+                    explain: true,
+                    dryRun: true,
+                    specs: [
+                        {name: 'vendor', selectedChunks: selectEntryChunks, test: /vendor/},
+                        {name: 'components', selectedChunks: selectEntryChunks, test: /components/},
+                    ],
+                });
+                compiler.outputFileSystem = new MemoryFileSystem();
+
+                return compile(compiler).then((stats) => {
+                    const {assets} = stats.compilation;
+
+                    expect(stats.compilation.errors).toEqual([]);
+                    expect(selectedChunks.sort()).toEqual(['bar', 'bar', 'foo', 'foo']);
+                    const explanation = JSON.parse(
+                        assets['shared-chunks-explain.json'].source());
+                    expect(explanation.specs.map(spec => spec.chunks)).toEqual(
+                        [['vendor'], ['components']]);
+                });
+            });
+        });
+
+        describe('chunkIds', () => {
+            // Return the ids and hashes of the shared chunks after compiling
+            // the given entry points.  Module ids are based on paths so that
+            // they don't change either.
+            const getSharedChunkIds = (entryPoints, chunkIds) => {
+                const compiler = createCompiler(entryPoints, {chunkIds});
+                compiler.options.output.chunkFilename = '[name].[chunkhash].js';
+                new webpack.NamedModulesPlugin().apply(compiler);
+                compiler.outputFileSystem = new MemoryFileSystem();
+
+                return compile(compiler).then((stats) => {
+                    const result = {};
+                    for (const chunk of stats.compilation.chunks) {
+                        if (['vendor', 'components', 'feature-shared'].includes(chunk.name)) {
+                            result[chunk.name] = {id: chunk.id, hash: chunk.renderedHash};
+                        }
                     }
-                    chunkToModulesMap[chunkName].add(module.portableId);
-                }
+                    return result;
+                });
+            };
+
+            const entryPoints = {
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            };
+            const moreEntryPoints = Object.assign({
+                aaa: path.resolve(__dirname, 'fixtures/features/quux.js'),
+            }, entryPoints);
+
+            for (const chunkIds of ['name', 'hash']) {
+                it(`should keep ids stable when entries are added with chunkIds: '${chunkIds}'`, () => {
+                    return Promise.all([
+                        getSharedChunkIds(entryPoints, chunkIds),
+                        getSharedChunkIds(moreEntryPoints, chunkIds),
+                    ]).then(([before, after]) => {
+                        expect(after).toEqual(before);
+                        if (chunkIds === 'name') {
+                            expect(before.components.id).toEqual('components');
+                        } else {
+                            expect(before.components.id).toMatch(/^[0-9a-f]{8}$/);
+                        }
+                    });
+                });
             }
 
-            expect([...chunkToModulesMap['async-consumer']].sort()).toEqual([
-                'test/fixtures/features/async-consumer.js',
-            ]);
-
-            expect([...chunkToModulesMap['0']].sort()).toEqual([
-                'test/fixtures/features/async-dep.js',
-                'test/fixtures/features/async-value.js',
-            ]);
-
-            expect([...chunkToModulesMap['feature-shared']].sort()).toEqual([
-                'test/fixtures/features/percent.js',
-            ]);
-
-            const chunkDependencies = {};
-            for (const chunk of chunks) {
-                chunkDependencies[chunk.name || chunk.id] = chunk.parents.map(dep => dep.name);
-                if (chunk.name === null) {
-                    // console.log(chunk);
-                    for (const module of chunk._modules) {
-                        console.log(module.portableId);
+            it('should let webpack number shared chunks by default', () => {
+                return Promise.all([
+                    getSharedChunkIds(entryPoints, undefined),
+                    getSharedChunkIds(moreEntryPoints, undefined),
+                ]).then(([before, after]) => {
+                    expect(after).not.toEqual(before);
+                });
+            });
+        });
+
+        describe('runtimeChunk', () => {
+            const entryPoints = {
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            };
+            const moreEntryPoints = Object.assign({
+                'async-consumer': path.resolve(__dirname, 'fixtures/features/async-consumer.js'),
+                baz: path.resolve(__dirname, 'fixtures/features/baz.js'),
+            }, entryPoints);
+
+            it('should move the runtime into a chunk that is loaded first', () => {
+                const compiler = createCompiler(moreEntryPoints, {
+                    manifest: true,
+                    runtimeChunk: true,
+                });
+                compiler.outputFileSystem = new MemoryFileSystem();
+
+                return compile(compiler).then((stats) => {
+                    const {assets, chunks} = stats.compilation;
+                    const runtimeChunks = chunks
+                        .filter(chunk => chunk.hasRuntime())
+                        .map(chunk => chunk.name);
+                    expect(runtimeChunks).toEqual(['runtime']);
+
+                    const chunkDependencies = getChunkDependencies(chunks);
+                    expect(chunkDependencies['async-consumer']).toEqual(['runtime']);
+                    if (version < 4) {
+                        // webpack 3 only lists the direct parents, and
+                        // async-consumer's import() loads vendor as well.
+                        expect(chunkDependencies.vendor).toEqual(
+                            ['runtime', 'async-consumer']);
+                    } else {
+                        expect(chunkDependencies.foo).toEqual([
+                            'runtime', 'vendor', 'components', 'feature-shared']);
                     }
+
+                    const manifest = JSON.parse(
+                        assets['shared-chunks-manifest.json'].source());
+                    expect(manifest.entries.foo).toEqual([
+                        'runtime.js', 'vendor.js', 'components.js', 'feature-shared.js']);
+                    expect(manifest.entries['async-consumer']).toEqual(['runtime.js']);
+                    expect(manifest.sharedChunks.vendor.parents).toEqual(['runtime']);
+                    expect(manifest.sharedChunks.runtime.modules).toEqual([]);
+                });
+            });
+
+            it('should keep the hashes of shared chunks stable when entries are added', () => {
+                const getHashes = (entryPoints) => {
+                    const compiler = createCompiler(entryPoints, {
+                        chunkIds: 'name',
+                        runtimeChunk: true,
+                    });
+                    compiler.options.output.filename = '[name].[chunkhash].js';
+                    compiler.options.output.chunkFilename = '[name].[chunkhash].js';
+                    new webpack.NamedModulesPlugin().apply(compiler);
+                    compiler.outputFileSystem = new MemoryFileSystem();
+
+                    return compile(compiler).then((stats) => {
+                        const result = {};
+                        for (const chunk of stats.compilation.chunks) {
+                            if (['vendor', 'components', 'feature-shared'].includes(chunk.name)) {
+                                result[chunk.name] = chunk.renderedHash;
+                            }
+                        }
+                        return result;
+                    });
+                };
+
+                return Promise.all([
+                    getHashes(entryPoints),
+                    getHashes(moreEntryPoints),
+                ]).then(([before, after]) => {
+                    expect(Object.keys(before)).toEqual(
+                        expect.arrayContaining(['vendor', 'components']));
+                    expect(after).toEqual(before);
+                });
+            });
+
+            it('should inline the runtime into the manifest', () => {
+                const compiler = createCompiler(entryPoints, {
+                    manifest: true,
+                    runtimeChunk: {name: 'bootstrap', inline: true},
+                });
+                compiler.outputFileSystem = new MemoryFileSystem();
+
+                return compile(compiler).then((stats) => {
+                    const {assets} = stats.compilation;
+                    const manifest = JSON.parse(
+                        assets['shared-chunks-manifest.json'].source());
+
+                    expect(manifest.runtime).toContain('__webpack_require__');
+                    expect(manifest.entries.foo).toEqual([
+                        'vendor.js', 'components.js', 'feature-shared.js']);
+                    expect(manifest.sharedChunks.vendor.parents).toEqual([]);
+                    expect(manifest.sharedChunks.bootstrap).toBeUndefined();
+                    expect(assets['bootstrap.js']).toBeUndefined();
+                    expect(SharedChunksPlugin.getEntryAssets(stats.compilation, 'foo')
+                        .map(asset => asset.url)).toEqual([
+                        'vendor.js', 'components.js', 'feature-shared.js', 'foo.js']);
+                });
+            });
+
+            it('should report a runtime chunk name that is already used', () => {
+                const compiler = createCompiler(entryPoints, {
+                    runtimeChunk: {name: 'foo'},
+                });
+                compiler.options.bail = false;
+                compiler.outputFileSystem = new MemoryFileSystem();
+
+                return compile(compiler).then((stats) => {
+                    expect(stats.compilation.errors.map(e => e.message)).toEqual([
+                        "SharedChunksPlugin: runtimeChunk.name 'foo' is already " +
+                            'the name of a chunk',
+                    ]);
+                });
+            });
+        });
+
+        describe('lockFile', () => {
+            const foo = path.resolve(__dirname, 'fixtures/features/foo.js');
+            const bar = path.resolve(__dirname, 'fixtures/features/bar.js');
+            const baz = path.resolve(__dirname, 'fixtures/features/baz.js');
+
+            // Compile with the lock file in the given memory-fs.  comp2 is
+            // only in the components chunk if both foo and bar are entries.
+            const build = (entryPoints, fs, options) => {
+                const compiler = createCompiler(entryPoints, Object.assign({
+                    lockFile: true,
+                }, options));
+                compiler.options.plugins[0].specs[1].minChunks = 2;
+                compiler.outputFileSystem = fs;
+                return compile(compiler);
+            };
+
+            const getWarnings = stats =>
+                stats.compilation.warnings.map(warning => warning.message);
+
+            it('should write the shared chunk of each module to the lock file', () => {
+                const fs = new MemoryFileSystem();
+
+                return build({foo, bar, baz}, fs).then(() => {
+                    const lock = JSON.parse(fs.readFileSync(
+                        path.resolve(__dirname, '..', 'shared-chunks-lock.json'), 'utf8'));
+
+                    expect(lock.modules).toEqual(expect.objectContaining({
+                        './test/fixtures/components/comp1.js': 'components',
+                        './test/fixtures/components/comp2.js': 'components',
+                        './test/fixtures/features/percent.js': 'feature-shared',
+                        './test/fixtures/features/foo.js': null,
+                    }));
+                    expect(Object.keys(lock.modules)).toEqual(
+                        Object.keys(lock.modules).sort());
+                });
+            });
+
+            it('should keep modules in shared chunks when they are in fewer chunks', () => {
+                const fs = new MemoryFileSystem();
+
+                return build({foo, bar, baz}, fs).then(() => {
+                    return build({foo, baz}, fs, {maxChurn: 1, explain: true});
+                }).then((stats) => {
+                    const chunkModules = getChunkModules(stats.compilation.chunks);
+                    expect(chunkModules.components).toContain('test/fixtures/components/comp2.js');
+                    expect(chunkModules.foo).not.toContain('test/fixtures/components/comp2.js');
+                    expect(getWarnings(stats)).toEqual([]);
+
+                    const explanation = stats.compilation.assets[
+                        'shared-chunks-explain.txt'].source();
+                    expect(explanation).toContain(
+                        './test/fixtures/components/comp2.js -> components: ' +
+                            'kept by the lock file');
+                });
+            });
+
+            it('should keep modules out of shared chunks when they are in more chunks', () => {
+                const fs = new MemoryFileSystem();
+
+                return build({foo, baz}, fs).then(() => {
+                    return build({foo, bar, baz}, fs, {maxChurn: 1});
+                }).then((stats) => {
+                    const chunkModules = getChunkModules(stats.compilation.chunks);
+                    expect(chunkModules.components).not.toContain('test/fixtures/components/comp2.js');
+                    expect(chunkModules.foo).toContain('test/fixtures/components/comp2.js');
+                    expect(chunkModules.bar).toContain('test/fixtures/components/comp2.js');
+
+                    // percent.js is kept out of feature-shared as well.
+                    expect(chunkModules.bar).toContain('test/fixtures/features/percent.js');
+                    expect(getWarnings(stats)).toEqual([
+                        "SharedChunksPlugin: 'feature-shared' chunk not " +
+                            'created, contains no modules',
+                    ]);
+                });
+            });
+
+            it('should reassign modules when more of them changed than maxChurn allows', () => {
+                const fs = new MemoryFileSystem();
+
+                return build({foo, bar, baz}, fs).then(() => {
+                    return build({foo, baz}, fs);
+                }).then((stats) => {
+                    const chunkModules = getChunkModules(stats.compilation.chunks);
+                    expect(chunkModules.foo).toContain('test/fixtures/components/comp2.js');
+                    // percent.js is only in foo as well, which leaves
+                    // feature-shared empty.  The spec still exists, so the
+                    // reason is the number of chunks the module is in.
+                    expect(getWarnings(stats)).toEqual([
+                        "SharedChunksPlugin: 'feature-shared' chunk not " +
+                            'created, contains no modules',
+                        'SharedChunksPlugin: 2 modules were reassigned since the ' +
+                            'lock file was written:\n' +
+                            '  ./test/fixtures/components/comp2.js: components -> ' +
+                            "(none), it's in 1 chunk, minChunks 2, and more " +
+                            "modules changed in 'components' than maxChurn allows\n" +
+                            '  ./test/fixtures/features/percent.js: feature-shared ' +
+                            "-> (none), it's in 1 chunk, minChunks 2, and more " +
+                            "modules changed in 'feature-shared' than maxChurn allows",
+                    ]);
+
+                    // The next build starts from the new assignments.
+                    const lock = JSON.parse(fs.readFileSync(
+                        path.resolve(__dirname, '..', 'shared-chunks-lock.json'), 'utf8'));
+                    expect(lock.modules['./test/fixtures/components/comp2.js']).toBeNull();
+                });
+            });
+
+            it('should reassign modules which the spec no longer matches', () => {
+                const fs = new MemoryFileSystem();
+
+                return build({foo, bar, baz}, fs).then(() => {
+                    const compiler = createCompiler({foo, bar, baz}, {
+                        lockFile: true,
+                        maxChurn: 1,
+                    });
+                    compiler.options.plugins[0].specs[1].moduleFilter =
+                        module => /comp1/.test(module.resource);
+                    compiler.outputFileSystem = fs;
+                    return compile(compiler);
+                }).then((stats) => {
+                    expect(getWarnings(stats)).toEqual([
+                        'SharedChunksPlugin: 1 module was reassigned since the ' +
+                            'lock file was written:\n' +
+                            '  ./test/fixtures/components/comp2.js: components -> ' +
+                            "(none), 'components' no longer matches it",
+                    ]);
+                });
+            });
+        });
+
+        it('should apply specs in order of priority', () => {
+            const entryPoints = {
+                foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+                bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+            };
+            // Both specs match the vendor modules.
+            const specs = [
+                {name: 'everything', test: /fixtures/, minChunks: 2},
+                {name: 'vendor', test: /vendor/, priority: 10},
+            ];
+            const build = (specs) => {
+                const compiler = createCompiler(entryPoints, {specs});
+                compiler.outputFileSystem = new MemoryFileSystem();
+                return compile(compiler).then(stats =>
+                    getChunkModules(stats.compilation.chunks));
+            };
+
+            return Promise.all([
+                build(specs),
+                build([...specs].reverse()),
+            ]).then(([before, after]) => {
+                expect(after).toEqual(before);
+                expect([...before.vendor].sort()).toEqual([
+                    'test/fixtures/vendor/dep1.js',
+                    'test/fixtures/vendor/dep2.js',
+                ]);
+                expect(before.everything).not.toContain('test/fixtures/vendor/dep1.js');
+            });
+        });
+
+        describe('reuseExistingChunk', () => {
+            // lib.js and helper.js are in page1, page2 and the async chunk
+            // that lazy imports, which contains nothing else.
+            const createReuseCompiler = (reuseExistingChunk) => {
+                const compiler = createCompiler({
+                    page1: path.resolve(__dirname, 'fixtures/reuse/page1.js'),
+                    page2: path.resolve(__dirname, 'fixtures/reuse/page2.js'),
+                    lazy: path.resolve(__dirname, 'fixtures/reuse/lazy.js'),
+                }, {
+                    manifest: true,
+                    specs: [{name: 'lib', test: /reuse\/lib/, reuseExistingChunk}],
+                });
+                compiler.outputFileSystem = new MemoryFileSystem();
+                return compiler;
+            };
+
+            it('should use an async chunk which only contains the shared modules', () => {
+                const compiler = createReuseCompiler(true);
+
+                return compile(compiler).then((stats) => {
+                    const {assets, chunks} = stats.compilation;
+                    expect(chunks.map(chunk => chunk.name).sort()).toEqual([
+                        'lazy', 'lib', 'page1', 'page2']);
+
+                    const chunkModules = getChunkModules(chunks);
+                    expect([...chunkModules.lib].sort()).toEqual([
+                        'test/fixtures/reuse/helper.js',
+                        'test/fixtures/reuse/lib.js',
+                    ]);
+                    expect([...chunkModules.page1]).toEqual([
+                        'test/fixtures/reuse/page1.js']);
+
+                    const manifest = JSON.parse(
+                        assets['shared-chunks-manifest.json'].source());
+                    expect(manifest.entries.page1).toEqual(['lib.js']);
+                    expect(manifest.asyncChunks).toEqual({});
+                });
+            });
+
+            it('should create a new shared chunk by default', () => {
+                const compiler = createReuseCompiler(undefined);
+
+                return compile(compiler).then((stats) => {
+                    const {chunks} = stats.compilation;
+                    expect(Object.keys(getChunkModules(chunks)).sort()).toEqual([
+                        'lazy', 'lib', 'page1', 'page2']);
+
+                    // The async chunk is left empty, which webpack 4 removes.
+                    expect(chunks.length).toEqual(version < 4 ? 5 : 4);
+                });
+            });
+        });
+
+        it('should sort deep chains of shared chunks topologically', () => {
+            const compiler = createCompiler({
+                page1: path.resolve(__dirname, 'fixtures/pages/page1.js'),
+                page2: path.resolve(__dirname, 'fixtures/pages/page2.js'),
+            }, {
+                manifest: true,
+            });
+            compiler.options.plugins[0].specs.push({
+                name: "page-shared",
+                selectedChunks: ['page1', 'page2'],
+                moduleFilter: (module) => /pages/.test(module.resource),
+                minChunks: 2,
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {assets, chunks} = stats.compilation;
+
+                const chunkDependencies = getChunkDependencies(chunks);
+
+                expect(chunkDependencies.page1).toEqual([
+                    'vendor', 'components', 'feature-shared', 'page-shared']);
+                expect(chunkDependencies.page2).toEqual([
+                    'vendor', 'components', 'feature-shared', 'page-shared']);
+                if (version < 4) {
+                    expect(chunkDependencies['page-shared']).toEqual(
+                        ['feature-shared']);
+                    expect(chunkDependencies['feature-shared']).toEqual(
+                        ['components']);
                 }
-            }
+                expect(chunkDependencies.components).toEqual(['vendor']);
+                expect(chunkDependencies.vendor).toEqual([]);
+
+                const manifest = JSON.parse(
+                    assets['shared-chunks-manifest.json'].source());
+                expect(manifest.sharedChunks['page-shared'].parents).toEqual([
+                    'vendor', 'components', 'feature-shared']);
+            });
+        });
+
+        it('should not create cycles when specs depend on each other', () => {
+            // 'shared' matches dep2, which 'components' already took along
+            // with comp2, and summary.js, which needs comp2.  Taking dep2 out
+            // of 'components' would make the two shared chunks depend on each
+            // other.  Shared chunks are never selected so it stays there.
+            const compiler = createCompiler({
+                page1: path.resolve(__dirname, 'fixtures/pages/page1.js'),
+                page2: path.resolve(__dirname, 'fixtures/pages/page2.js'),
+            }, {
+                specs: [
+                    {name: 'components', test: /components/},
+                    {name: 'shared', test: /vendor|summary/},
+                ],
+            });
+            compiler.outputFileSystem = new MemoryFileSystem();
+
+            return compile(compiler).then((stats) => {
+                const {chunks} = stats.compilation;
+                const chunkToModulesMap = getChunkModules(chunks);
+                const chunkDependencies = getChunkDependencies(chunks);
 
-            expect(chunkDependencies.components).toEqual(['vendor']);
-            expect(chunkDependencies.vendor).toEqual([]);
-            expect(chunkDependencies['feature-shared']).toEqual([]);
-            expect(chunkDependencies['async-consumer']).toEqual([]);
-            // async-consumer is a moot dependency of 0.js b/c async-consumer
-            // loads 0.js.
-            expect(chunkDependencies['0']).toEqual(
-                ['vendor', 'components', 'feature-shared', 'async-consumer']);
+                expect(stats.compilation.errors).toEqual([]);
+                expect([...chunkToModulesMap.components].sort()).toEqual([
+                    'test/fixtures/components/comp2.js',
+                    'test/fixtures/vendor/dep2.js',
+                ]);
+                expect([...chunkToModulesMap.shared]).toEqual([
+                    'test/fixtures/features/summary.js',
+                ]);
+                expect(chunkDependencies.page1).toEqual(['components', 'shared']);
+                expect(chunkDependencies.page2).toEqual(['components', 'shared']);
+            });
         });
+
+        describe('async chunk selection', () => {
+            // widget.js is in every async chunk: editor (named) and chart
+            // from page-a, table from page-b and settings from admin.
+            const createAsyncCompiler = (spec) => {
+                const compiler = createCompiler({
+                    'page-a': path.resolve(__dirname, 'fixtures/lazy/page-a.js'),
+                    'page-b': path.resolve(__dirname, 'fixtures/lazy/page-b.js'),
+                    admin: path.resolve(__dirname, 'fixtures/lazy/admin.js'),
+                }, {
+                    manifest: true,
+                    verbose: true,
+                    specs: [Object.assign({
+                        name: 'widgets',
+                        test: /lazy\/widget/,
+                        async: true,
+                        minChunks: 2,
+                    }, spec)],
+                });
+                compiler.outputFileSystem = new MemoryFileSystem();
+                return compiler;
+            };
+
+            it('should label async chunks by name or by request and origin', () => {
+                const compiler = createAsyncCompiler({});
+
+                return compile(compiler).then((stats) => {
+                    const {assets} = stats.compilation;
+                    const manifest = JSON.parse(
+                        assets['shared-chunks-manifest.json'].source());
+
+                    expect(manifest.asyncChunks).toEqual({
+                        editor: ['widgets.js'],
+                        './test/fixtures/lazy/chart.js (from page-a)': ['widgets.js'],
+                        './test/fixtures/lazy/table.js (from page-b)': ['widgets.js'],
+                        './test/fixtures/lazy/settings.js (from admin)': ['widgets.js'],
+                    });
+
+                    const {sharedChunks} = stats.toJson();
+                    expect(sharedChunks[0].affectedChunks.sort()).toEqual([
+                        './test/fixtures/lazy/chart.js (from page-a)',
+                        './test/fixtures/lazy/settings.js (from admin)',
+                        './test/fixtures/lazy/table.js (from page-b)',
+                        'editor',
+                    ]);
+                });
+            });
+
+            it('should give async chunks which load the same request different labels', () => {
+                const compiler = createCompiler({
+                    page: path.resolve(__dirname, 'fixtures/lazy/loaders.js'),
+                }, {
+                    manifest: true,
+                    specs: [{name: 'widgets', test: /lazy\/widget/, async: true}],
+                });
+                compiler.outputFileSystem = new MemoryFileSystem();
+
+                return compile(compiler).then((stats) => {
+                    const manifest = JSON.parse(stats.compilation
+                        .assets['shared-chunks-manifest.json'].source());
+
+                    expect(manifest.asyncChunks).toEqual({
+                        './test/fixtures/lazy/a/index.js (from page)': ['widgets.js'],
+                        './test/fixtures/lazy/b/index.js (from page)': ['widgets.js'],
+                    });
+                });
+            });
+
+            it('should only select async chunks loaded from asyncChunksFrom', () => {
+                const compiler = createAsyncCompiler({asyncChunksFrom: 'page-*'});
+
+                return compile(compiler).then((stats) => {
+                    const chunkToModulesMap = getChunkModules(stats.compilation.chunks);
+                    const {sharedChunks} = stats.toJson();
+
+                    expect(sharedChunks[0].affectedChunks.sort()).toEqual([
+                        './test/fixtures/lazy/chart.js (from page-a)',
+                        './test/fixtures/lazy/table.js (from page-b)',
+                        'editor',
+                    ]);
+                    expect([...chunkToModulesMap.editor]).toEqual([
+                        'test/fixtures/lazy/editor.js',
+                    ]);
+
+                    const settings = stats.compilation.chunks.find(chunk =>
+                        [...chunk.modulesIterable].some(module =>
+                            /settings/.test(module.resource)));
+                    expect([...chunkToModulesMap[settings.id]].sort()).toEqual([
+                        'test/fixtures/lazy/settings.js',
+                        'test/fixtures/lazy/widget.js',
+                    ]);
+                });
+            });
+
+            it('should select named async chunks with selectedAsyncChunks', () => {
+                const compiler = createAsyncCompiler({
+                    selectedAsyncChunks: 'edit*',
+                    minChunks: 1,
+                });
+
+                return compile(compiler).then((stats) => {
+                    const chunkToModulesMap = getChunkModules(stats.compilation.chunks);
+                    const {sharedChunks} = stats.toJson();
+
+                    expect(sharedChunks[0].affectedChunks).toEqual(['editor']);
+                    expect([...chunkToModulesMap.editor]).toEqual([
+                        'test/fixtures/lazy/editor.js',
+                    ]);
+                });
+            });
+
+            it('should report async chunk names which do not exist', () => {
+                const compiler = createAsyncCompiler({
+                    selectedAsyncChunks: ['editor', 'editr'],
+                    asyncChunksFrom: 'page-c',
+                });
+                compiler.options.bail = false;
+
+                return compile(compiler).then((stats) => {
+                    expect(stats.compilation.errors.map(e => e.message).sort()).toEqual([
+                        "SharedChunksPlugin: specs[0].asyncChunksFrom " +
+                            "contains 'page-c' which isn't an existing chunk",
+                        "SharedChunksPlugin: specs[0].selectedAsyncChunks " +
+                            "contains 'editr' which isn't an existing chunk",
+                    ]);
+                });
+            });
+        });
+    });
+}
+
+describe('shared-chunk-plugin options', () => {
+    const createPlugin = (spec, options) => new SharedChunksPlugin(
+        Object.assign({
+            specs: [
+                {name: 'vendor', test: /vendor/},
+                Object.assign({name: 'other'}, spec),
+            ],
+        }, options));
+
+    it('should validate the options used to match modules', () => {
+        expect(() => createPlugin({test: 5})).toThrow(
+            'SharedChunksPlugin: specs[1].test must be a RegExp, a string ' +
+                'or a function');
+        expect(() => createPlugin({exclude: [/a/, null]})).toThrow(
+            'SharedChunksPlugin: specs[1].exclude must be a RegExp, a ' +
+                'string or an array of them');
+        expect(() => createPlugin({packages: 'react'})).toThrow(
+            'SharedChunksPlugin: specs[1].packages must be an array of ' +
+                'package names');
+        expect(() => createPlugin({include: [/a/, 'b']})).not.toThrow();
+    });
+
+    it('should reject unknown options', () => {
+        expect(() => createPlugin({minChunk: 2})).toThrow(
+            "SharedChunksPlugin: specs[1].minChunk is not a valid option, " +
+                "did you mean 'minChunks'?");
+        expect(() => createPlugin({}, {onOverlaps: 'warn'})).toThrow(
+            "SharedChunksPlugin: onOverlaps is not a valid option, did you " +
+                "mean 'onOverlap'?");
+        expect(() => createPlugin({chunks: []})).toThrow(
+            'SharedChunksPlugin: specs[1].chunks is not a valid option');
+    });
+
+    it('should reject options with the wrong type or value', () => {
+        expect(() => createPlugin({selectedChunks: ['foo', 5]})).toThrow(
+            'SharedChunksPlugin: specs[1].selectedChunks must be a chunk name ' +
+                'pattern, a RegExp, an array of them or a function');
+        expect(() => createPlugin({minChunks: 0})).toThrow(
+            'SharedChunksPlugin: specs[1].minChunks must be an integer ' +
+                'greater than 0');
+        expect(() => createPlugin({asyncChunks: 'all'})).toThrow(
+            "SharedChunksPlugin: specs[1].asyncChunks must be 'include', " +
+                "'exclude', 'only' or 'selected'");
+        expect(() => createPlugin({transitiveDeps: 'skip'})).toThrow(
+            "SharedChunksPlugin: specs[1].transitiveDeps must be 'include', " +
+                "'exclude' or 'separate'");
+        expect(() => createPlugin({minSize: 10, maxSize: 5})).toThrow(
+            'SharedChunksPlugin: specs[1].minSize must not be greater than ' +
+                'maxSize');
+        expect(() => createPlugin({}, {onOverlap: 'ignore'})).toThrow(
+            "SharedChunksPlugin: onOverlap must be 'warn', 'error' or 'skip'");
+        expect(() => createPlugin({}, {dryRun: 'yes'})).toThrow(
+            'SharedChunksPlugin: dryRun must be a boolean');
+        expect(() => new SharedChunksPlugin({})).toThrow(
+            'SharedChunksPlugin: specs must be an array');
+        expect(() => createPlugin({minChunks: Infinity}, {onOverlap: undefined}))
+            .not.toThrow();
+    });
+
+    it('should validate the auto options', () => {
+        expect(() => createPlugin({}, {auto: {maxChunks: 2}})).toThrow(
+            "SharedChunksPlugin: auto.maxChunks is not a valid option, did " +
+                "you mean 'minChunks'?");
+        expect(() => createPlugin({}, {auto: {minChunks: 1}})).toThrow(
+            'SharedChunksPlugin: auto.minChunks must be an integer greater ' +
+                'than 1');
+        expect(() => createPlugin({}, {auto: {maxParentsPerEntry: 3}}))
+            .not.toThrow();
+    });
+
+    it('should validate the runtimeChunk options', () => {
+        expect(() => createPlugin({}, {runtimeChunk: 'runtime'})).toThrow(
+            'SharedChunksPlugin: runtimeChunk must be a boolean or an object');
+        expect(() => createPlugin({}, {runtimeChunk: {name: ''}})).toThrow(
+            'SharedChunksPlugin: runtimeChunk.name must be a non-empty string');
+        expect(() => createPlugin({}, {runtimeChunk: {inline: true}})).toThrow(
+            'SharedChunksPlugin: runtimeChunk.inline requires the manifest ' +
+                'option');
+        expect(() => createPlugin({}, {
+            runtimeChunk: {inline: true},
+            manifest: true,
+        })).not.toThrow();
+    });
+
+    it('should validate priority and reuseExistingChunk', () => {
+        expect(() => createPlugin({priority: '1'})).toThrow(
+            'SharedChunksPlugin: specs[1].priority must be a number');
+        expect(() => createPlugin({reuseExistingChunk: 1})).toThrow(
+            'SharedChunksPlugin: specs[1].reuseExistingChunk must be a boolean');
+        expect(() => createPlugin({
+            reuseExistingChunk: true,
+            useExistingChunk: true,
+        })).toThrow(
+            "SharedChunksPlugin: specs[1].reuseExistingChunk can't be used " +
+                'with useExistingChunk');
+        expect(() => createPlugin({priority: -5, reuseExistingChunk: true}))
+            .not.toThrow();
+    });
+
+    it('should validate the async chunk selection options', () => {
+        expect(() => createPlugin({selectedAsyncChunks: 5})).toThrow(
+            'SharedChunksPlugin: specs[1].selectedAsyncChunks must be a chunk ' +
+                'name pattern, a RegExp, an array of them or a function');
+        expect(() => createPlugin({
+            asyncChunksFrom: 'page-*',
+            asyncChunks: 'exclude',
+        })).toThrow(
+            "SharedChunksPlugin: specs[1].asyncChunksFrom can't be used with " +
+                "asyncChunks: 'exclude'");
+        expect(() => createPlugin({
+            selectedAsyncChunks: /^editor/,
+            asyncChunksFrom: ['page-*', 'admin'],
+        })).not.toThrow();
+    });
+
+    it('should validate the lockFile options', () => {
+        expect(() => createPlugin({}, {lockFile: ''})).toThrow(
+            'SharedChunksPlugin: lockFile must be a boolean or a filename');
+        expect(() => createPlugin({}, {maxChurn: 2})).toThrow(
+            'SharedChunksPlugin: maxChurn must be a number between 0 and 1');
+        expect(() => createPlugin({}, {lockFile: 'locks/shared.json', maxChurn: 0}))
+            .not.toThrow();
+    });
+
+    it('should reject duplicate spec names', () => {
+        expect(() => createPlugin({name: 'vendor'})).toThrow(
+            "SharedChunksPlugin: specs[1].name 'vendor' is already used by " +
+                'specs[0]');
+    });
+});
+
+describe('shared-chunk-plugin load order', () => {
+    it('should break ties between shared chunks using spec order', () => {
+        const plugin = new SharedChunksPlugin({specs: []});
+        const [a, b, c, d] = ['a', 'b', 'c', 'd'].map(name => ({name}));
+        const parentsMap = new Map([[c, [a]], [d, [c, b]]]);
+
+        const loadOrder = plugin.getLoadOrder(new Set([d, c, b, a]), parentsMap);
+        expect(loadOrder.map(chunk => chunk.name)).toEqual(['b', 'a', 'c', 'd']);
+        expect(plugin.sortChunks([b, c], loadOrder)).toEqual([b, c]);
+        expect(plugin.sortChunks([c, b, a], loadOrder)).toEqual([b, a, c]);
     });
 });
@@ -0,0 +1,288 @@
+/* global expect */
+const crypto = require('crypto');
+const path = require('path');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const MemoryFileSystem = require('memory-fs');
+
+const SharedChunksPlugin = require('../index.js');
+
+const webpackVersions = {
+    3: require('webpack'),
+    4: require('webpack4'),
+};
+
+// A stand-in for html-webpack-plugin 3 which calls its
+// 'html-webpack-plugin-alter-asset-tags' hook with the tags it would inject
+// for 'chunks', in the wrong order, and resolves 'result' with the altered
+// tags.  The real plugin only runs on webpack 3 here, see below.
+class FakeHtmlPlugin {
+    constructor(chunks) {
+        this.chunks = chunks;
+        this.result = new Promise((resolve, reject) => {
+            this.resolve = resolve;
+            this.reject = reject;
+        });
+    }
+
+    apply(compiler) {
+        const getData = (compilation) => {
+            const chunks = compilation.chunks
+                .filter(chunk => this.chunks.includes(chunk.name))
+                .map(chunk => ({names: [chunk.name], files: chunk.files}))
+                .reverse();
+            const scripts = [];
+            for (const chunk of chunks) {
+                for (const file of chunk.files) {
+                    scripts.push({
+                        tagName: 'script',
+                        closeTag: true,
+                        attributes: {
+                            type: 'text/javascript',
+                            src: `/static/${file}?hash`,
+                        },
+                    });
+                }
+            }
+            return {head: [], body: scripts, plugin: this, chunks, outputName: 'index.html'};
+        };
+
+        if (compiler.hooks) {
+            const {AsyncSeriesWaterfallHook} = require('webpack4/node_modules/tapable');
+            compiler.hooks.compilation.tap('FakeHtmlPlugin', (compilation) => {
+                compilation.hooks.htmlWebpackPluginAlterAssetTags =
+                    new AsyncSeriesWaterfallHook(['pluginArgs']);
+            });
+            compiler.hooks.emit.tapPromise('FakeHtmlPlugin', (compilation) => {
+                return compilation.hooks.htmlWebpackPluginAlterAssetTags
+                    .promise(getData(compilation))
+                    .then(this.resolve, this.reject);
+            });
+        } else {
+            compiler.plugin('emit', (compilation, callback) => {
+                compilation.applyPluginsAsyncWaterfall(
+                    'html-webpack-plugin-alter-asset-tags',
+                    getData(compilation),
+                    (err, result) => {
+                        if (err) {
+                            this.reject(err);
+                        } else {
+                            this.resolve(result);
+                        }
+                        callback();
+                    });
+            });
+        }
+    }
+}
+
+for (const [version, webpack] of Object.entries(webpackVersions)) {
+    // Compile foo.js and bar.js with the same specs as the plugin tests.
+    function build(plugins = []) {
+        const entryPoints = {
+            foo: path.resolve(__dirname, 'fixtures/features/foo.js'),
+            bar: path.resolve(__dirname, 'fixtures/features/bar.js'),
+        };
+        const compiler = webpack(Object.assign({
+            bail: true,
+            cache: false,
+            entry: entryPoints,
+            output: {
+                path: `${__dirname}/dist`,
+                publicPath: '/static/',
+                filename: '[name].js',
+                chunkFilename: '[name].js',
+            },
+            plugins: [
+                new SharedChunksPlugin({
+                    specs: [
+                        {name: 'vendor', test: /vendor/},
+                        {name: 'components', test: /components/},
+                        {name: 'feature-shared', test: /features/, minChunks: 2},
+                    ],
+                }),
+                ...plugins,
+            ],
+        }, version >= 4 ? {
+            mode: 'none',
+            optimization: {
+                splitChunks: false,
+            },
+        } : {}));
+        compiler.outputFileSystem = new MemoryFileSystem();
+
+        return new Promise((resolve, reject) => {
+            compiler.run((err, stats) => {
+                if (err) {
+                    return reject(err);
+                }
+                resolve({compiler, compilation: stats.compilation});
+            });
+        });
+    }
+
+    describe(`shared-chunk-plugin tags with webpack ${version}`, () => {
+        it('should return the assets of an entry in load order', () => {
+            return build().then(({compilation}) => {
+                const assets = SharedChunksPlugin.getEntryAssets(compilation, 'foo');
+
+                expect(assets).toEqual([
+                    {url: '/static/vendor.js', preload: true},
+                    {url: '/static/components.js', preload: true},
+                    {url: '/static/feature-shared.js', preload: true},
+                    {url: '/static/foo.js', preload: false},
+                ]);
+            });
+        });
+
+        it('should add integrity and other attributes', () => {
+            return build().then(({compiler, compilation}) => {
+                const assets = SharedChunksPlugin.getEntryAssets(compilation, 'bar', {
+                    publicPath: 'https://cdn.example.com/',
+                    integrity: 'sha256',
+                    crossorigin: 'anonymous',
+                    defer: true,
+                });
+
+                const source = compiler.outputFileSystem.readFileSync(
+                    `${__dirname}/dist/vendor.js`);
+                const hash = crypto.createHash('sha256').update(source).digest('base64');
+
+                expect(assets[0]).toEqual({
+                    url: 'https://cdn.example.com/vendor.js',
+                    preload: true,
+                    integrity: `sha256-${hash}`,
+                    crossorigin: 'anonymous',
+                    defer: true,
+                });
+                expect(assets.map(asset => asset.url)).toEqual([
+                    'https://cdn.example.com/vendor.js',
+                    'https://cdn.example.com/components.js',
+                    'https://cdn.example.com/feature-shared.js',
+                    'https://cdn.example.com/bar.js',
+                ]);
+            });
+        });
+
+        it('should render preload and script tags', () => {
+            return build().then(({compilation}) => {
+                const assets = SharedChunksPlugin.getEntryAssets(compilation, 'foo', {
+                    crossorigin: 'anonymous',
+                    async: true,
+                });
+
+                expect(SharedChunksPlugin.renderTags(assets)).toEqual([
+                    '<link rel="preload" as="script" href="/static/vendor.js" crossorigin="anonymous">',
+                    '<link rel="preload" as="script" href="/static/components.js" crossorigin="anonymous">',
+                    '<link rel="preload" as="script" href="/static/feature-shared.js" crossorigin="anonymous">',
+                    '<script src="/static/vendor.js" crossorigin="anonymous" async></script>',
+                    '<script src="/static/components.js" crossorigin="anonymous" async></script>',
+                    '<script src="/static/feature-shared.js" crossorigin="anonymous" async></script>',
+                    '<script src="/static/foo.js" crossorigin="anonymous" async></script>',
+                ].join('\n'));
+            });
+        });
+
+        it('should replace the script tags injected by html-webpack-plugin', () => {
+            const htmlPlugin = new FakeHtmlPlugin(
+                ['foo', 'bar', 'vendor', 'components', 'feature-shared']);
+            const tagsPlugin = new SharedChunksPlugin.HtmlTagsPlugin({crossorigin: 'anonymous'});
+
+            return build([htmlPlugin, tagsPlugin])
+                .then(() => htmlPlugin.result)
+                .then(({head, body}) => {
+                    const script = (src) => ({
+                        tagName: 'script',
+                        closeTag: true,
+                        attributes: {type: 'text/javascript', src, crossorigin: 'anonymous'},
+                    });
+                    const preload = (href) => ({
+                        tagName: 'link',
+                        selfClosingTag: false,
+                        voidTag: true,
+                        attributes: {rel: 'preload', as: 'script', href, crossorigin: 'anonymous'},
+                    });
+
+                    expect(body).toEqual([
+                        script('/static/vendor.js'),
+                        script('/static/components.js'),
+                        script('/static/feature-shared.js'),
+                        script('/static/bar.js'),
+                        script('/static/foo.js'),
+                    ]);
+                    expect(head).toEqual([
+                        preload('/static/vendor.js'),
+                        preload('/static/components.js'),
+                        preload('/static/feature-shared.js'),
+                    ]);
+                });
+        });
+
+        it('should only add the tags of the entries on the page', () => {
+            const htmlPlugin = new FakeHtmlPlugin(['bar']);
+            const tagsPlugin = new SharedChunksPlugin.HtmlTagsPlugin({defer: true});
+
+            return build([htmlPlugin, tagsPlugin])
+                .then(() => htmlPlugin.result)
+                .then(({head, body}) => {
+                    expect(body.map(tag => tag.attributes)).toEqual([
+                        {type: 'text/javascript', src: '/static/vendor.js', defer: true},
+                        {type: 'text/javascript', src: '/static/components.js', defer: true},
+                        {type: 'text/javascript', src: '/static/feature-shared.js', defer: true},
+                        {type: 'text/javascript', src: '/static/bar.js', defer: true},
+                    ]);
+                    expect(head.map(tag => tag.attributes.href)).toEqual([
+                        '/static/vendor.js',
+                        '/static/components.js',
+                        '/static/feature-shared.js',
+                    ]);
+                });
+        });
+
+        // html-webpack-plugin 3 compiles the template with the 'webpack'
+        // package, which is webpack 3 here, so it only runs on webpack 3.
+        if (version < 4) {
+            it('should replace the script tags of html-webpack-plugin 3', () => {
+                const htmlPlugin = new HtmlWebpackPlugin({
+                    chunks: ['foo'],
+                    templateContent: '<html><head></head><body></body></html>',
+                });
+                const tagsPlugin = new SharedChunksPlugin.HtmlTagsPlugin({crossorigin: 'anonymous'});
+
+                return build([htmlPlugin, tagsPlugin]).then(({compiler}) => {
+                    const html = compiler.outputFileSystem.readFileSync(
+                        `${__dirname}/dist/index.html`, 'utf8');
+
+                    expect(html).toEqual(
+                        '<html><head>' +
+                        '<link rel="preload" as="script" href="/static/vendor.js" crossorigin="anonymous">' +
+                        '<link rel="preload" as="script" href="/static/components.js" crossorigin="anonymous">' +
+                        '<link rel="preload" as="script" href="/static/feature-shared.js" crossorigin="anonymous">' +
+                        '</head><body>' +
+                        '<script type="text/javascript" src="/static/vendor.js" crossorigin="anonymous"></script>' +
+                        '<script type="text/javascript" src="/static/components.js" crossorigin="anonymous"></script>' +
+                        '<script type="text/javascript" src="/static/feature-shared.js" crossorigin="anonymous"></script>' +
+                        '<script type="text/javascript" src="/static/foo.js" crossorigin="anonymous"></script>' +
+                        '</body></html>');
+                });
+            });
+        } else {
+            it('should throw without the html-webpack-plugin 3 hook', () => {
+                const tagsPlugin = new SharedChunksPlugin.HtmlTagsPlugin();
+
+                return build([tagsPlugin]).then(() => {
+                    throw new Error('The build should have failed');
+                }, (err) => {
+                    expect(err.message).toContain(
+                        'SharedChunksPlugin: HtmlTagsPlugin only supports html-webpack-plugin 3');
+                });
+            });
+        }
+
+        it('should throw for unknown entries', () => {
+            return build().then(({compilation}) => {
+                expect(() => SharedChunksPlugin.getEntryAssets(compilation, 'baz'))
+                    .toThrow("SharedChunksPlugin: 'baz' is not an entry");
+            });
+        });
+    });
+}